@@ -4,17 +4,39 @@ import { Plugin, Notice } from 'obsidian';
 import { SimklSettingTab } from './settings';
 import { SimklProcessor } from './processor';
 import { SimklAuth } from './auth';
-import { SimklCache } from './cache';
+import { SimklCache, SimklCacheStorage } from './cache';
 import { SimklApi } from './api';
-import { DEFAULT_SETTINGS } from './constants';
+import { SimklSyncEngine } from './sync';
+import { SimklNoteManager } from './notes';
+import { SimklTemplateEngine } from './template';
+import { SimklFrontmatterSync } from './frontmatter-sync';
+import { SimklWatchLog } from './watch-log';
+import { SimklOfflineMonitor } from './offline';
+import { SimklRatingModal, SimklImportModal } from './modals';
+import { SimklSecretStore, SimklPassphraseModal } from './secrets';
+import { SimklProfiles } from './profiles';
+import { SimklPublicApi } from './public-api';
+import { SimklLibraryIndex } from './library-index';
+import { DEFAULT_SETTINGS, ERROR_MESSAGES } from './constants';
 
 export default class SimklPlugin extends Plugin {
   constructor(app, manifest) {
     super(app, manifest);
-    this.cache = new SimklCache();
+    this.cache = new SimklCache(new SimklCacheStorage(this));
+    this.secrets = new SimklSecretStore();
+    this.profiles = new SimklProfiles(this);
     this.api = new SimklApi();
     this.auth = new SimklAuth(this);
+    this.sync = new SimklSyncEngine(this);
+    this.notes = new SimklNoteManager(this);
+    this.templates = new SimklTemplateEngine(this);
+    this.frontmatterSync = new SimklFrontmatterSync(this);
+    this.watchLog = new SimklWatchLog(this);
+    this.offline = new SimklOfflineMonitor(this);
     this.processor = new SimklProcessor(this);
+    this.libraryIndex = new SimklLibraryIndex(this);
+    // Versioned surface for other plugins and scripts, see SimklPublicApi
+    this.publicApi = new SimklPublicApi(this);
   }
 
   async onload() {
@@ -24,14 +46,36 @@ export default class SimklPlugin extends Plugin {
     await this.loadSettings();
     
     // Initialize components with settings
+    this.cache.setMaxSize(this.settings.cacheMaxSize);
+    this.cache.setTimeout(this.settings.cacheTimeout);
     this.api.init(this.settings);
     this.auth.init(this.settings);
+    this.api.setAuthHandler(this.auth);
     this.processor.init(this.settings);
     
     // Register processors
     this.registerMarkdownCodeBlockProcessor('simkl', this.processor.processCodeBlock.bind(this.processor));
     this.registerMarkdownPostProcessor(this.processor.processInlineLinks.bind(this.processor));
     
+    // Note index and two-way frontmatter sync
+    this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+      this.notes.onMetadataChanged(file);
+      if (this.settings.frontmatterSync) {
+        this.frontmatterSync.onMetadataChanged(file);
+      }
+    }));
+    
+    // Keep the simkl_id -> note index current
+    this.registerEvent(this.app.vault.on('delete', (file) => this.notes.onFileDeleted(file)));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.notes.onFileRenamed(file, oldPath)));
+    
+    // Count down in the status bar while the queue waits out a rate limit
+    this.api.onRateLimit(until => this.showRateLimit(until));
+    
+    // Background sync feeds the watch log and frontmatter sync
+    this.sync.onChange(({ watched }) => this.watchLog.recordSynced(watched));
+    this.scheduleBackgroundSync();
+    
     // Add commands
     this.addCommand({
       id: 'simkl-authenticate',
@@ -48,30 +92,154 @@ export default class SimklPlugin extends Plugin {
       }
     });
     
+    this.addCommand({
+      id: 'simkl-unlock-credentials',
+      name: 'Unlock Simkl credentials',
+      checkCallback: (checking) => {
+        if (!this.isLocked()) return false;
+        if (!checking) this.promptUnlock();
+        return true;
+      }
+    });
+    
     this.addCommand({
       id: 'simkl-test-connection',
       name: 'Test Simkl Connection',
       callback: () => this.testConnection()
     });
     
+    this.addCommand({
+      id: 'simkl-sync-library',
+      name: 'Sync Simkl library',
+      callback: () => this.syncLibrary()
+    });
+    
+    this.addCommand({
+      id: 'simkl-rate-current-title',
+      name: 'Rate current title',
+      callback: () => this.rateCurrentTitle()
+    });
+    
+    this.addCommand({
+      id: 'simkl-create-note',
+      name: 'Create note for title',
+      callback: () => this.createNoteForCurrentTitle()
+    });
+    
+    this.addCommand({
+      id: 'simkl-import-library',
+      name: 'Import Simkl library into notes',
+      callback: () => this.importLibrary()
+    });
+    
     // Settings tab
     this.addSettingTab(new SimklSettingTab(this.app, this));
     
     // Status bar
     this.statusBarItem = this.addStatusBarItem();
     this.updateStatusBar('Ready');
+    
+    // Read the persisted cache once the workspace is up, without blocking startup
+    this.app.workspace.onLayoutReady(() => {
+      this.cache.ensureLoaded();
+      if (this.isLocked()) {
+        this.promptUnlock();
+        return;
+      }
+      // Refresh or warn about an expiring token before anything needs it
+      this.auth.ensureFreshToken();
+    });
+    
+    // Probe right away when the OS reports the network is back
+    this.registerDomEvent(window, 'online', () => this.offline.checkConnection());
   }
 
   async loadSettings() {
     this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    // The offline fixture transport moved into the test suite
+    if (this.settings.transport === 'fixtures') {
+      this.settings.transport = DEFAULT_SETTINGS.transport;
+    }
+    this.profiles.migrate();
   }
 
   async saveSettings() {
-    await this.saveData(this.settings);
+    await this.saveData(await this.serializeSettings());
     // Notify components of settings change
+    this.cache.setMaxSize(this.settings.cacheMaxSize);
+    this.cache.setTimeout(this.settings.cacheTimeout);
     this.api.updateSettings(this.settings);
     this.auth.updateSettings(this.settings);
     this.processor.updateSettings(this.settings);
+    this.scheduleBackgroundSync();
+  }
+
+  /**
+   * (Re)start the background sync timer when its interval changes
+   */
+  scheduleBackgroundSync() {
+    const interval = this.settings.backgroundSyncInterval;
+    if (this.backgroundSyncTimer && this.backgroundSyncTimerInterval === interval) {
+      return;
+    }
+
+    if (this.backgroundSyncTimer) {
+      window.clearInterval(this.backgroundSyncTimer);
+    }
+    // Registered too, so unloading the plugin stops the current timer
+    this.backgroundSyncTimer = this.registerInterval(window.setInterval(() => this.runBackgroundSync(), interval));
+    this.backgroundSyncTimerInterval = interval;
+  }
+
+  /**
+   * Settings as written to data.json. With encryption on, secrets only go
+   * out inside `encryptedSecrets`; while still locked the stored blob is kept
+   * as is, so secrets obtained before unlocking last only for this session.
+   */
+  async serializeSettings() {
+    const data = { ...this.settings };
+
+    if (!data.encryptSecrets) {
+      data.encryptedSecrets = null;
+      return this.profiles.toStorage(data, { stripSecrets: false });
+    }
+
+    if (this.secrets.isUnlocked()) {
+      data.encryptedSecrets = await this.secrets.encrypt(this.profiles.pickSecrets());
+      this.settings.encryptedSecrets = data.encryptedSecrets;
+    }
+
+    return this.profiles.toStorage(data, { stripSecrets: true });
+  }
+
+  isLocked() {
+    return !!(this.settings.encryptSecrets && this.settings.encryptedSecrets && !this.secrets.isUnlocked());
+  }
+
+  /**
+   * Ask for the passphrase and load the decrypted secrets into memory
+   */
+  promptUnlock() {
+    if (!this.isLocked()) {
+      return;
+    }
+
+    new SimklPassphraseModal(this.app, {
+      title: 'Unlock Simkl credentials',
+      description: 'Your Simkl credentials are encrypted. Enter the passphrase to use your account; without it only public data is available.',
+      onSubmit: async (passphrase) => {
+        try {
+          this.profiles.mergeSecrets(await this.secrets.unlock(passphrase, this.settings.encryptedSecrets));
+        } catch (error) {
+          return error.message;
+        }
+
+        await this.saveSettings();
+        this.processor.reparseBlocks();
+        this.auth.ensureFreshToken();
+        new Notice('🔓 Simkl credentials unlocked');
+      }
+    }).open();
   }
 
   async testConnection() {
@@ -95,27 +263,161 @@ export default class SimklPlugin extends Plugin {
     }
   }
 
+  async runBackgroundSync() {
+    const { frontmatterSync, watchLogEnabled, accessToken } = this.settings;
+    if (!accessToken || (!frontmatterSync && !watchLogEnabled)) {
+      return;
+    }
+
+    try {
+      await this.sync.sync();
+      if (frontmatterSync) {
+        await this.frontmatterSync.syncAll();
+      }
+    } catch (error) {
+      console.error('Background sync failed:', error);
+    }
+  }
+
+  async syncLibrary() {
+    try {
+      this.updateStatusBar('Syncing...');
+      const { updated, removed } = await this.sync.sync();
+      new Notice(`✅ Library synced: ${updated} updated, ${removed} removed`);
+      this.updateStatusBar('Ready');
+    } catch (error) {
+      console.error('Library sync failed:', error);
+      new Notice(`❌ Library sync failed: ${error.message}`);
+      this.updateStatusBar('Error');
+    }
+  }
+
+  /**
+   * Resolve the title the active note is about: `simkl_id` frontmatter first,
+   * then the first `type: show` simkl block in the note
+   */
+  async resolveCurrentTitle() {
+    const file = this.app.workspace.getActiveFile();
+    if (!file) return null;
+
+    const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+    if (frontmatter?.simkl_id) {
+      return {
+        mediaType: frontmatter.simkl_type || 'tv',
+        ids: { simkl: frontmatter.simkl_id },
+        title: frontmatter.title || file.basename
+      };
+    }
+
+    const content = await this.app.vault.cachedRead(file);
+    const match = content.match(/```simkl\n([\s\S]*?)```/);
+    if (!match) return null;
+
+    const config = this.processor.parser.parseCodeBlockConfig(match[1]);
+    if (config.type !== 'show') return null;
+
+    const data = await this.processor.fetchData(config);
+    return this.processor.normalizeEntry(data, config.mediaType);
+  }
+
+  async rateCurrentTitle() {
+    if (!this.settings.accessToken) {
+      new Notice(`❌ ${ERROR_MESSAGES.NO_ACCESS_TOKEN}`);
+      return;
+    }
+
+    try {
+      const item = await this.resolveCurrentTitle();
+      if (!item) {
+        new Notice('❌ No Simkl title found in the active note');
+        return;
+      }
+
+      const ratings = await this.processor.getUserRatings().catch(() => new Map());
+      const currentRating = ratings.get(String(item.ids.simkl));
+
+      new SimklRatingModal(this.app, item.title, currentRating, rating =>
+        this.processor.submitRating(item, rating)
+      ).open();
+    } catch (error) {
+      console.error('Rate current title failed:', error);
+      new Notice(`❌ ${error.message}`);
+    }
+  }
+
+  async createNoteForCurrentTitle() {
+    try {
+      const item = await this.resolveCurrentTitle();
+      if (!item) {
+        new Notice('❌ No Simkl title found in the active note');
+        return;
+      }
+
+      await this.processor.createNote(item);
+    } catch (error) {
+      console.error('Create note failed:', error);
+      new Notice(`❌ ${error.message}`);
+    }
+  }
+
+  importLibrary() {
+    if (!this.settings.accessToken) {
+      new Notice(`❌ ${ERROR_MESSAGES.NO_ACCESS_TOKEN}`);
+      return;
+    }
+
+    new SimklImportModal(this.app, this).open();
+  }
+
   updateStatusBar(status) {
     if (this.statusBarItem) {
       this.statusBarItem.setText(`Simkl: ${status}`);
     }
   }
 
+  showRateLimit(until) {
+    window.clearInterval(this.rateLimitTimer);
+
+    const tick = () => {
+      const seconds = Math.ceil((until - Date.now()) / 1000);
+      if (seconds > 0) {
+        this.updateStatusBar(`Rate limited, resuming in ${seconds}s`);
+        return;
+      }
+      window.clearInterval(this.rateLimitTimer);
+      this.rateLimitTimer = null;
+      this.updateStatusBar(this.offline.offline ? 'Offline' : 'Ready');
+    };
+
+    this.rateLimitTimer = window.setInterval(tick, 1000);
+    tick();
+  }
+
+  /**
+   * Internal objects, kept for existing scripts. No stability guarantee;
+   * use `publicApi` instead.
+   * @deprecated
+   */
   getApi() {
     return this.api;
   }
 
+  /** @deprecated use `publicApi` */
   getCache() {
     return this.cache;
   }
 
+  /** @deprecated use `publicApi.isAuthenticated()` */
   getAuth() {
     return this.auth;
   }
 
   onunload() {
     console.log('Unloading Simkl Plugin');
-    this.cache.clear();
+    this.offline.stop();
+    this.auth.stop();
+    window.clearInterval(this.rateLimitTimer);
+    this.cache.flush();
   }
 }
 // Simkl Plugin Constants
@@ -126,11 +428,20 @@ export const SIMKL_API_BASE = 'https://api.simkl.com';
 export const SIMKL_ENDPOINTS = {
   SEARCH: (type, query) => `/search/${type}?q=${encodeURIComponent(query)}`,
   ITEM_DETAILS: (type, id) => `/${type}/${id}`,
+  EPISODES: (type, id) => `/${type}/episodes/${id}`,
   USER_STATS: (userId) => `/users/${userId}/stats`,
+  USER_SETTINGS: '/users/settings',
   USER_LIST: (userId, mediaType, listType) => `/users/${userId}/list/${mediaType}/${listType}`,
   SYNC_ALL: '/sync/all-items',
+  SYNC_ALL_TYPE: (type) => `/sync/all-items/${type}`,
+  SYNC_ACTIVITIES: '/sync/activities',
+  SYNC_HISTORY: '/sync/history',
+  SYNC_RATINGS: '/sync/ratings',
+  SYNC_ADD_TO_LIST: '/sync/add-to-list',
+  SYNC_HISTORY_REMOVE: '/sync/history/remove',
   OAUTH_PIN: '/oauth/pin',
-  OAUTH_TOKEN: (userCode) => `/oauth/pin/${userCode}`
+  OAUTH_TOKEN: (userCode) => `/oauth/pin/${userCode}`,
+  OAUTH_REFRESH: '/oauth/token'
 };
 
 export const SIMKL_MEDIA_TYPES = {
@@ -147,23 +458,93 @@ export const SIMKL_LIST_TYPES = {
   DROPPED: 'dropped'
 };
 
+// Library (sync all-items) section -> media type
+export const LIBRARY_MEDIA_TYPES = {
+  shows: 'tv',
+  anime: 'anime',
+  movies: 'movie'
+};
+
+export const SIMKL_LIST_LABELS = {
+  watching: 'Watching',
+  completed: 'Completed',
+  plantowatch: 'Plan to watch',
+  hold: 'On hold',
+  dropped: 'Dropped'
+};
+
 export const SIMKL_LAYOUTS = {
   CARD: 'card',
   TABLE: 'table',
-  COMPACT: 'compact'
+  COMPACT: 'compact',
+  TEMPLATE: 'template'
+};
+
+// Body of new title notes when no note template is configured
+export const DEFAULT_NOTE_TEMPLATE = [
+  '```simkl',
+  'type: show',
+  'mediaType: {{media_type}}',
+  'id: {{simkl_id}}',
+  '```',
+  ''
+].join('\n');
+
+// PIN authentication session states
+export const AUTH_STATES = {
+  IDLE: 'idle',
+  REQUESTING_PIN: 'requesting_pin',
+  WAITING: 'waiting',
+  AUTHORIZED: 'authorized',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+  ERROR: 'error'
+};
+
+// Bumped on breaking changes to plugin.publicApi (major) or additions (minor)
+export const PUBLIC_API_VERSION = '1.1.0';
+
+// Account profiles; these fields are stored per profile
+export const DEFAULT_PROFILE_ID = 'default';
+export const PROFILE_FIELDS = ['clientId', 'clientSecret', 'accessToken', 'refreshToken', 'tokenExpiry', 'userId', 'username'];
+
+// Settings encrypted at rest when `encryptSecrets` is on
+export const SECRET_FIELDS = ['clientSecret', 'accessToken', 'refreshToken'];
+
+// How long before expiry a token is refreshed, or the user warned
+export const TOKEN_REFRESH_MARGIN = 24 * 60 * 60 * 1000;
+export const TOKEN_WARNING_MARGIN = 3 * 24 * 60 * 60 * 1000;
+
+// Request scheduling priorities, most urgent first
+export const REQUEST_PRIORITIES = {
+  INTERACTIVE: 0, // user actions: ratings, list moves, mark watched
+  VISIBLE: 1,     // blocks on screen
+  BACKGROUND: 2,  // library sync, frontmatter sync, imports
+  PREFETCH: 3     // refreshing stale data that is already on screen
 };
 
 // Default plugin settings
 export const DEFAULT_SETTINGS = {
   // API Configuration
   clientId: '',
+  clientSecret: '', // only needed to refresh expiring tokens
   accessToken: '',
+  refreshToken: '',
+  tokenExpiry: 0, // ms timestamp; 0 when Simkl gave no expiry
+  encryptSecrets: false,
+  encryptedSecrets: null, // { version, salt, iv, data } when encryptSecrets is on
   userId: '',
+  username: '', // display name of the authenticated account, when known
+  activeProfile: 'default',
+  profiles: null, // id -> { name, ...PROFILE_FIELDS }; top-level account fields mirror the active one
+  apiBaseUrl: SIMKL_API_BASE, // point at a local mock server for offline development
+  transport: 'requestUrl', // requestUrl | fetch
   
   // Display Settings
   defaultLayout: SIMKL_LAYOUTS.CARD,
   showCoverImages: true,
   showRatings: true,
+  showUserRatings: true,
   showProgress: true,
   showGenres: true,
   showYear: true,
@@ -174,12 +555,29 @@ export const DEFAULT_SETTINGS = {
   debugMode: false,
   requestTimeout: 15000,
   maxRetries: 3,
-  cacheTimeout: 300000, // 5 minutes
+  maxConcurrentRequests: 2,
+  cacheTimeout: 300000, // 5 minutes; fresh window for lists, stats and the library
+  cacheMaxSize: 20 * 1024 * 1024, // estimated bytes held in memory
   
   // UI Settings
   cardWidth: 200,
   imageHeight: 300,
-  enableAnimations: true
+  enableAnimations: true,
+  
+  // Note Settings
+  notesFolder: 'Simkl',
+  noteTemplate: '', // vault path; empty uses DEFAULT_NOTE_TEMPLATE
+  
+  // Frontmatter Sync Settings
+  frontmatterSync: false,
+  frontmatterConflictPolicy: 'ask', // ask | remote | local
+  backgroundSyncInterval: 900000, // 15 minutes
+  
+  // Watch Log Settings
+  watchLogEnabled: false,
+  watchLogHeading: '## Watched today',
+  watchLogFormat: '- {{time}} {{link}}{{#if episode}} {{episode}}{{/if}}',
+  watchLogDailyNotePath: 'YYYY-MM-DD' // moment format; wrap literal folders in [brackets]
 };
 
 // Configuration validation
@@ -195,14 +593,16 @@ export const ERROR_MESSAGES = {
   NO_USER_ID: 'User ID is required for this operation.',
   INVALID_MEDIA_TYPE: 'Invalid media type. Must be: tv, movie, or anime.',
   INVALID_LIST_TYPE: 'Invalid list type. Must be: watching, completed, plantowatch, hold, or dropped.',
-  INVALID_LAYOUT: 'Invalid layout. Must be: card, table, or compact.',
+  INVALID_LAYOUT: 'Invalid layout. Must be: card, table, compact, or template.',
   NETWORK_ERROR: 'Network error. Please check your connection and try again.',
   API_ERROR: 'API error occurred. Please try again later.',
   TIMEOUT_ERROR: 'Request timed out. Please try again.',
   RATE_LIMITED: 'Rate limited. Please wait before making more requests.',
   NOT_FOUND: 'Requested item not found.',
   UNAUTHORIZED: 'Unauthorized. Please check your credentials.',
-  FORBIDDEN: 'Access forbidden. Please check your permissions.'
+  SESSION_EXPIRED: 'Your Simkl session has expired. Please authenticate again.',
+  FORBIDDEN: 'Access forbidden. Please check your permissions.',
+  INVALID_RATING: 'Invalid rating. Must be a whole number from 1 to 10.'
 };
 
 // CSS Classes
@@ -223,7 +623,12 @@ export const CSS_CLASSES = {
   PROGRESS: 'simkl-progress',
   RATING: 'simkl-rating',
   STATUS: 'simkl-status',
-  ATTRIBUTION: 'simkl-attribution'
+  ATTRIBUTION: 'simkl-attribution',
+  CARD_ACTIONS: 'simkl-card-actions',
+  ACTION_BUTTON: 'simkl-action-button',
+  USER_RATING: 'simkl-user-rating',
+  OFFLINE: 'simkl-offline',
+  OFFLINE_BANNER: 'simkl-offline-banner'
 };
 
 // Input parsing patterns
@@ -236,9 +641,19 @@ export const PARSE_PATTERNS = {
 export const CACHE_KEYS = {
   SEARCH: (type, query) => `search:${type}:${query}`,
   ITEM: (type, id) => `item:${type}:${id}`,
-  USER_LIST: (userId, mediaType, listType) => `list:${userId}:${mediaType}:${listType}`,
-  USER_STATS: (userId) => `stats:${userId}`,
-  SYNC_ALL: 'sync:all'
+  // Account data is namespaced by profile; search and item details are public and shared
+  USER_LIST: (userId, mediaType, listType, profile) => `list:${userId}:${mediaType}:${listType}@${profile}`,
+  USER_STATS: (userId, profile) => `stats:${userId}@${profile}`,
+  
+  // Fresh and stale windows (ms) per key category, the prefix before the first ':'.
+  // Fresh entries are served as-is; stale ones are served and refreshed in the background.
+  // Without `fresh`, entries stay fresh for the user's cacheTimeout setting.
+  POLICIES: {
+    search: { fresh: 3600000, stale: 86400000 },  // 1 hour, then 1 day
+    item: { fresh: 86400000, stale: 604800000 },  // 1 day, then 7 days
+    list: { stale: 86400000 },                    // cacheTimeout, then 1 day
+    stats: { stale: 86400000 }                    // cacheTimeout, then 1 day
+  }
 };
 // Simkl API Layer
 import { 
@@ -246,23 +661,236 @@ import {
   SIMKL_ENDPOINTS, 
   ERROR_MESSAGES,
   SIMKL_MEDIA_TYPES,
-  SIMKL_LIST_TYPES 
+  SIMKL_LIST_TYPES,
+  REQUEST_PRIORITIES
 } from './constants';
+import { createTransport } from './transport';
+import { redactSecrets } from './secrets';
+
+/**
+ * Priority queue for HTTP requests. Lower priority values run first, equal
+ * priorities in arrival order; at most `concurrency` run at once and starts
+ * are spaced by `minInterval`.
+ */
+export class SimklRequestScheduler {
+  constructor(execute) {
+    this.execute = execute;
+    this.queue = [];
+    this.active = 0;
+    this.concurrency = 1;
+    this.baseInterval = 1000;
+    this.minInterval = 1000;
+    this.maxInterval = 30000;
+    this.lastStart = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Rate limited: hold every queued request until `until` and space later
+   * requests further apart
+   */
+  throttle(until) {
+    this.pausedUntil = Math.max(this.pausedUntil, until);
+    this.minInterval = Math.min(this.maxInterval, this.minInterval * 2);
+  }
+
+  /**
+   * A request went through; move a quarter of the way back to the base interval
+   */
+  recover() {
+    if (this.minInterval > this.baseInterval) {
+      this.minInterval = Math.max(
+        this.baseInterval,
+        Math.round(this.minInterval - (this.minInterval - this.baseInterval) / 4)
+      );
+    }
+  }
+
+  schedule(request, { priority = REQUEST_PRIORITIES.VISIBLE, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+
+      const job = { request, priority, signal, resolve, reject };
+
+      if (signal) {
+        job.onAbort = () => {
+          // Running jobs finish regardless
+          const index = this.queue.indexOf(job);
+          if (index === -1) return;
+          this.queue.splice(index, 1);
+          reject(this.createAbortError());
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      this.enqueue(job);
+      this.pump();
+    });
+  }
+
+  /**
+   * Insert by priority; `ahead` puts the job before others of equal priority
+   */
+  enqueue(job, { ahead = false } = {}) {
+    const index = this.queue.findIndex(queued =>
+      ahead ? queued.priority >= job.priority : queued.priority > job.priority);
+    if (index === -1) {
+      this.queue.push(job);
+    } else {
+      this.queue.splice(index, 0, job);
+    }
+  }
+
+  /**
+   * Find the queued job for a request, e.g. to reprioritize it
+   */
+  findJob(request) {
+    return this.queue.find(job => job.request === request) || null;
+  }
+
+  /**
+   * Move a waiting job up when a more urgent caller needs the same request
+   */
+  promote(job, priority) {
+    const index = this.queue.indexOf(job);
+    if (index === -1 || priority >= job.priority) return;
+    this.queue.splice(index, 1);
+    job.priority = priority;
+    this.enqueue(job);
+  }
+
+  pump() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const wait = Math.max(this.lastStart + this.minInterval, this.pausedUntil) - Date.now();
+      if (wait > 0) {
+        this.timer = window.setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, wait);
+        return;
+      }
+
+      const job = this.queue.shift();
+      job.signal?.removeEventListener('abort', job.onAbort);
+      this.lastStart = Date.now();
+      this.active++;
+
+      // A rejection marked `requeue` (rate limited) gives the slot back and
+      // waits in the queue instead, behind the pause set by throttle()
+      this.execute(job.request)
+        .then(job.resolve, error => (error.requeue ? this.requeue(job) : job.reject(error)))
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  requeue(job) {
+    if (job.signal?.aborted) {
+      job.reject(this.createAbortError());
+      return;
+    }
+
+    job.signal?.addEventListener('abort', job.onAbort, { once: true });
+    this.enqueue(job, { ahead: true });
+  }
+
+  createAbortError() {
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+}
 
 export class SimklApi {
   constructor() {
     this.settings = null;
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
     this.rateLimitDelay = 1000; // 1 second between requests
+    this.inFlight = new Map(); // request key -> { promise, request, controller, holders, pinned }
+    this.requestDefaults = {};
+    // Scoped views (withOptions, forSettings) share the queue; each request
+    // runs on the view that made it so its settings pick the credentials
+    this.scheduler = new SimklRequestScheduler(request => request.api.executeRequest(request));
+    this.scheduler.baseInterval = this.rateLimitDelay;
+    this.scheduler.minInterval = this.rateLimitDelay;
+    this.rateLimitListeners = new Set();
+    this.transport = null;
+    this.transportType = null;
+    this.authHandler = null;
+  }
+
+  /**
+   * Hook for token upkeep: `ensureFreshToken()` runs before authenticated
+   * requests, `handleUnauthorized()` on a 401 and resolves true when the
+   * request should be replayed with new credentials
+   */
+  setAuthHandler(handler) {
+    this.authHandler = handler;
+  }
+
+  /**
+   * Subscribe to rate limiting; listeners get the time requests resume at
+   */
+  onRateLimit(listener) {
+    this.rateLimitListeners.add(listener);
+    return () => this.rateLimitListeners.delete(listener);
   }
 
   init(settings) {
-    this.settings = settings;
+    this.updateSettings(settings);
   }
 
   updateSettings(settings) {
     this.settings = settings;
+    this.scheduler.concurrency = settings.maxConcurrentRequests;
+
+    if (settings.transport !== this.transportType) {
+      this.setTransport(createTransport(settings.transport));
+      this.transportType = settings.transport;
+    }
+  }
+
+  /**
+   * Swap how requests reach Simkl, e.g. a fixture transport in tests
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getBaseUrl() {
+    return (this.settings.apiBaseUrl || SIMKL_API_BASE).replace(/\/+$/, '');
+  }
+
+  /**
+   * View of this API whose requests use the given priority and abort signal.
+   * `onResponse` sees the data once per HTTP request: callers joining a
+   * shared read don't run theirs. Shares settings, queue and in-flight
+   * requests with the original.
+   */
+  withOptions({ priority, signal, onResponse } = {}) {
+    const scoped = Object.create(this);
+    scoped.requestDefaults = { priority, signal, onResponse };
+    return scoped;
+  }
+
+  /**
+   * View of this API acting as another account (a non-active profile).
+   * Token upkeep only covers the active account, so a 401 here is final.
+   */
+  forSettings(settings) {
+    const scoped = Object.create(this);
+    scoped.settings = settings;
+    scoped.authHandler = null;
+    return scoped;
   }
 
   /**
@@ -299,6 +927,17 @@ export class SimklApi {
     return this.makeRequest(`${endpoint}?${params.toString()}`, false);
   }
 
+  /**
+   * Get the episode list of a show or anime (public endpoint)
+   */
+  async getEpisodes(type, id) {
+    if (!this.validateMediaType(type)) {
+      throw new Error(ERROR_MESSAGES.INVALID_MEDIA_TYPE);
+    }
+
+    return this.makeRequest(SIMKL_ENDPOINTS.EPISODES(type, id), false);
+  }
+
   /**
    * Get user statistics (public endpoint)
    */
@@ -311,6 +950,13 @@ export class SimklApi {
     return this.makeRequest(endpoint, false);
   }
 
+  /**
+   * Account behind the current token (authenticated endpoint)
+   */
+  async getUserSettings() {
+    return this.makeRequest(SIMKL_ENDPOINTS.USER_SETTINGS, true);
+  }
+
   /**
    * Get user list (public endpoint)
    */
@@ -337,100 +983,282 @@ export class SimklApi {
   }
 
   /**
-   * Get all sync items (authenticated endpoint)
+   * Get all sync items (authenticated endpoint).
+   * Pass `type` to limit to shows/anime/movies and `date_from` for changes only.
    */
   async getAllSyncItems(options = {}) {
-    const endpoint = SIMKL_ENDPOINTS.SYNC_ALL;
+    const { type, ...query } = options;
+    const endpoint = type ? SIMKL_ENDPOINTS.SYNC_ALL_TYPE(type) : SIMKL_ENDPOINTS.SYNC_ALL;
     const params = new URLSearchParams({
       extended: 'full',
-      ...options
+      ...query
     });
 
     return this.makeRequest(`${endpoint}?${params.toString()}`, true);
   }
 
   /**
-   * Request OAuth PIN (authenticated endpoint)
+   * Get last activity timestamps per library section (authenticated endpoint)
    */
-  async requestOAuthPin() {
-    const endpoint = SIMKL_ENDPOINTS.OAUTH_PIN;
-    return this.makeRequest(endpoint, false, 'GET');
+  async getLastActivities() {
+    return this.makeRequest(SIMKL_ENDPOINTS.SYNC_ACTIVITIES, true);
   }
 
   /**
-   * Poll for OAuth token (authenticated endpoint)
+   * Add items to the user's watch history (authenticated endpoint)
    */
-  async pollOAuthToken(userCode) {
-    const endpoint = SIMKL_ENDPOINTS.OAUTH_TOKEN(userCode);
-    return this.makeRequest(endpoint, false, 'GET');
+  async addToHistory(payload) {
+    return this.makeRequest(SIMKL_ENDPOINTS.SYNC_HISTORY, true, 'POST', payload);
   }
 
   /**
-   * Make HTTP request with proper error handling and retries
+   * Mark a movie, a single episode or a whole season as watched.
+   * Omitting `season` marks the whole title.
    */
-  async makeRequest(endpoint, requiresAuth = false, method = 'GET', body = null) {
-    if (!this.settings?.clientId) {
-      throw new Error(ERROR_MESSAGES.NO_CLIENT_ID);
+  async markAsWatched(mediaType, ids, { season, episode, watchedAt } = {}) {
+    if (!this.validateMediaType(mediaType)) {
+      throw new Error(ERROR_MESSAGES.INVALID_MEDIA_TYPE);
     }
 
-    if (requiresAuth && !this.settings?.accessToken) {
-      throw new Error(ERROR_MESSAGES.NO_ACCESS_TOKEN);
+    const watched_at = watchedAt || new Date().toISOString();
+
+    if (mediaType === SIMKL_MEDIA_TYPES.MOVIE) {
+      return this.addToHistory(this.buildSyncPayload(mediaType, { ids, watched_at }));
     }
 
-    // Queue requests to avoid rate limiting
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({
-        endpoint,
-        requiresAuth,
-        method,
-        body,
-        resolve,
-        reject
-      });
-      this.processQueue();
-    });
+    const show = { ids, watched_at };
+
+    if (season !== undefined) {
+      const seasonEntry = { number: season };
+      if (episode !== undefined) {
+        seasonEntry.episodes = [{ number: episode, watched_at }];
+      }
+      show.seasons = [seasonEntry];
+    }
+
+    return this.addToHistory(this.buildSyncPayload(mediaType, show));
   }
 
   /**
-   * Process request queue with rate limiting
+   * Rate a title from 1 to 10 (authenticated endpoint)
    */
-  async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) {
-      return;
+  async rateItem(mediaType, ids, rating) {
+    if (!this.validateMediaType(mediaType)) {
+      throw new Error(ERROR_MESSAGES.INVALID_MEDIA_TYPE);
     }
 
-    this.isProcessingQueue = true;
-
-    while (this.requestQueue.length > 0) {
-      const request = this.requestQueue.shift();
-      
-      try {
-        const result = await this.executeRequest(request);
-        request.resolve(result);
-      } catch (error) {
-        request.reject(error);
-      }
-
-      // Rate limiting delay
-      if (this.requestQueue.length > 0) {
-        await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-      }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 10) {
+      throw new Error(ERROR_MESSAGES.INVALID_RATING);
     }
 
-    this.isProcessingQueue = false;
+    const entry = { ids, rating, rated_at: new Date().toISOString() };
+    return this.makeRequest(SIMKL_ENDPOINTS.SYNC_RATINGS, true, 'POST', this.buildSyncPayload(mediaType, entry));
   }
 
   /**
-   * Execute individual HTTP request
+   * Move a title to one of the watchlist statuses (authenticated endpoint)
    */
-  async executeRequest({ endpoint, requiresAuth, method, body }) {
-    const url = `${SIMKL_API_BASE}${endpoint}`;
-    const headers = this.buildHeaders(requiresAuth);
-
+  async addToList(mediaType, ids, listType) {
+    if (!this.validateMediaType(mediaType)) {
+      throw new Error(ERROR_MESSAGES.INVALID_MEDIA_TYPE);
+    }
+
+    if (!this.validateListType(listType)) {
+      throw new Error(ERROR_MESSAGES.INVALID_LIST_TYPE);
+    }
+
+    const payload = this.buildSyncPayload(mediaType, { to: listType, ids });
+    return this.makeRequest(SIMKL_ENDPOINTS.SYNC_ADD_TO_LIST, true, 'POST', payload);
+  }
+
+  /**
+   * Remove a title from the user's lists (authenticated endpoint).
+   * Simkl has no list-only removal: this deletes the title's whole watch
+   * history (every episode or play) along with its list status.
+   */
+  async removeFromHistory(mediaType, ids) {
+    if (!this.validateMediaType(mediaType)) {
+      throw new Error(ERROR_MESSAGES.INVALID_MEDIA_TYPE);
+    }
+
+    return this.makeRequest(SIMKL_ENDPOINTS.SYNC_HISTORY_REMOVE, true, 'POST', this.buildSyncPayload(mediaType, { ids }));
+  }
+
+  /**
+   * Wrap a sync entry in the group Simkl expects (anime goes under shows)
+   */
+  buildSyncPayload(mediaType, entry) {
+    return mediaType === SIMKL_MEDIA_TYPES.MOVIE
+      ? { movies: [entry] }
+      : { shows: [entry] };
+  }
+
+  /**
+   * Cheapest public call; used to probe connectivity
+   */
+  async checkConnection() {
+    await this.searchMedia(SIMKL_MEDIA_TYPES.TV, 'simkl', { limit: 1 });
+    return true;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token
+   */
+  async refreshAccessToken(refreshToken) {
+    return this.makeRequest(SIMKL_ENDPOINTS.OAUTH_REFRESH, false, 'POST', {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: this.settings.clientId,
+      client_secret: this.settings.clientSecret
+    });
+  }
+
+  /**
+   * Request OAuth PIN (authenticated endpoint)
+   */
+  async requestOAuthPin() {
+    const endpoint = `${SIMKL_ENDPOINTS.OAUTH_PIN}?client_id=${encodeURIComponent(this.settings.clientId)}`;
+    return this.makeRequest(endpoint, false, 'GET');
+  }
+
+  /**
+   * Poll for OAuth token (authenticated endpoint)
+   */
+  async pollOAuthToken(userCode) {
+    const endpoint = `${SIMKL_ENDPOINTS.OAUTH_TOKEN(userCode)}?client_id=${encodeURIComponent(this.settings.clientId)}`;
+    return this.makeRequest(endpoint, false, 'GET');
+  }
+
+  /**
+   * Make HTTP request with proper error handling and retries
+   */
+  async makeRequest(endpoint, requiresAuth = false, method = 'GET', body = null) {
+    if (!this.settings?.clientId) {
+      throw new Error(ERROR_MESSAGES.NO_CLIENT_ID);
+    }
+
+    if (requiresAuth && !this.settings?.accessToken) {
+      throw new Error(ERROR_MESSAGES.NO_ACCESS_TOKEN);
+    }
+
+    // Writes are user actions; everything else defaults to on-screen priority
+    const {
+      priority = body ? REQUEST_PRIORITIES.INTERACTIVE : REQUEST_PRIORITIES.VISIBLE,
+      signal,
+      onResponse
+    } = this.requestDefaults;
+
+    const request = { api: this, endpoint, requiresAuth, method, body };
+    const run = (runSignal) => this.runRequest(request, { priority, signal: runSignal })
+      .then(data => {
+        onResponse?.(data);
+        return data;
+      });
+
+    // Writes with a body are never shared
+    if (body) {
+      return run(signal);
+    }
+
+    // Identical reads share one pending request
+    const requestKey = this.getRequestKey(endpoint, requiresAuth, method);
+    let shared = this.inFlight.get(requestKey);
+
+    if (shared) {
+      const job = this.scheduler.findJob(shared.request);
+      if (job) {
+        this.scheduler.promote(job, priority);
+      }
+    } else {
+      const controller = new AbortController();
+      shared = { request, controller, holders: 0, pinned: false };
+      shared.promise = run(controller.signal);
+      this.inFlight.set(requestKey, shared);
+      shared.promise
+        .finally(() => this.inFlight.delete(requestKey))
+        .catch(() => {}); // callers handle the rejection
+    }
+
+    return this.joinShared(shared, signal);
+  }
+
+  /**
+   * Wait on a shared request. A caller's signal only cancels its own wait;
+   * the request itself is cancelled once every caller has aborted. Callers
+   * without a signal can't abort, so they keep it running.
+   */
+  joinShared(shared, signal) {
+    if (!signal) {
+      shared.pinned = true;
+      return shared.promise;
+    }
+
+    shared.holders++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(this.scheduler.createAbortError());
+        if (--shared.holders === 0 && !shared.pinned) {
+          shared.controller.abort();
+        }
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Key for coalescing: method, endpoint and whose credentials are used
+   */
+  getRequestKey(endpoint, requiresAuth, method) {
+    const scope = requiresAuth ? `auth:${this.settings.accessToken}` : 'public';
+    return `${method} ${endpoint} ${scope}`;
+  }
+
+  /**
+   * Schedule a request. Authenticated ones get a token refresh first when
+   * due; a 401 keeps the request and replays it once after re-authentication.
+   * The replay is queued again so the sign-in requests aren't stuck behind it.
+   */
+  async runRequest(request, options, replayed = false) {
+    if (request.requiresAuth) {
+      await this.authHandler?.ensureFreshToken();
+    }
+
+    try {
+      return await this.scheduler.schedule(request, options);
+    } catch (error) {
+      if (error.status !== 401 || !request.requiresAuth || replayed || !this.authHandler) {
+        throw error;
+      }
+      if (!(await this.authHandler.handleUnauthorized())) {
+        throw error;
+      }
+      return this.runRequest(request, options, true);
+    }
+  }
+
+  /**
+   * Execute individual HTTP request
+   */
+  async executeRequest(request) {
+    const { endpoint, requiresAuth, method, body } = request;
+    const url = `${this.getBaseUrl()}${endpoint}`;
+    const headers = this.buildHeaders(requiresAuth);
+
     const config = {
+      url,
       method,
       headers,
-      signal: AbortSignal.timeout(this.settings.requestTimeout)
+      timeout: this.settings.requestTimeout
     };
 
     if (body) {
@@ -443,27 +1271,52 @@ export class SimklApi {
     for (let attempt = 1; attempt <= this.settings.maxRetries; attempt++) {
       try {
         if (this.settings.debugMode) {
-          console.log(`Simkl API Request (attempt ${attempt}):`, { url, headers, method });
+          console.log(`Simkl API Request (attempt ${attempt}):`, redactSecrets({ url, headers, method }));
         }
 
-        const response = await fetch(url, config);
+        const response = await this.transport.request(config);
         
         if (response.ok) {
           const data = await response.json();
           
           if (this.settings.debugMode) {
-            console.log('Simkl API Response:', data);
+            console.log('Simkl API Response:', redactSecrets(data));
+          }
+
+          // Out of quota: pause before the next request has to fail
+          const resumeAt = this.getRateLimitResume(response);
+          if (resumeAt) {
+            this.applyRateLimit(resumeAt);
+          } else {
+            this.scheduler.recover();
           }
           
           return data;
         }
 
+        // Rate limited: pause the whole queue and put this request back in it,
+        // so waiting doesn't hold a slot other requests could use once it resumes
+        if (response.status === 429) {
+          const retries = request.rateLimitRetries || 0;
+          this.applyRateLimit(this.getRateLimitResume(response) || Date.now() + 5000 * (retries + 1));
+
+          if (retries + 1 < this.settings.maxRetries) {
+            request.rateLimitRetries = retries + 1;
+            const error = new Error(ERROR_MESSAGES.RATE_LIMITED);
+            error.status = 429;
+            error.requeue = true;
+            throw error;
+          }
+        }
+
         // Handle specific error codes
         const errorMessage = await this.handleErrorResponse(response);
         
         // Don't retry client errors (4xx)
         if (response.status >= 400 && response.status < 500) {
-          throw new Error(errorMessage);
+          const error = new Error(errorMessage);
+          error.status = response.status;
+          throw error;
         }
 
         lastError = new Error(errorMessage);
@@ -482,7 +1335,8 @@ export class SimklApi {
           throw new Error(ERROR_MESSAGES.TIMEOUT_ERROR);
         }
 
-        if (error.message.includes('Failed to fetch') || 
+        if (error.name === 'NetworkError' ||
+            error.message.includes('Failed to fetch') || 
             error.message.includes('NetworkError')) {
           if (attempt < this.settings.maxRetries) {
             await new Promise(resolve => 
@@ -501,6 +1355,44 @@ export class SimklApi {
     throw lastError || new Error(ERROR_MESSAGES.API_ERROR);
   }
 
+  /**
+   * When the server wants us to wait, from `Retry-After` (seconds or an HTTP
+   * date) or an exhausted `X-RateLimit-Remaining` with its reset time.
+   * Returns a timestamp, or null when nothing says to wait.
+   */
+  getRateLimitResume(response) {
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const resumeAt = Number.isFinite(seconds) ? Date.now() + seconds * 1000 : Date.parse(retryAfter);
+      if (Number.isFinite(resumeAt)) {
+        return resumeAt;
+      }
+    }
+
+    if (response.headers.get('X-RateLimit-Remaining') === '0') {
+      const reset = Number(response.headers.get('X-RateLimit-Reset'));
+      if (Number.isFinite(reset) && reset > 0) {
+        // Either epoch seconds or seconds from now
+        return reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+      }
+    }
+
+    return null;
+  }
+
+  applyRateLimit(resumeAt) {
+    this.scheduler.throttle(resumeAt);
+    const until = this.scheduler.pausedUntil;
+    this.rateLimitListeners.forEach(listener => {
+      try {
+        listener(until);
+      } catch (error) {
+        console.error('Rate limit listener failed:', error);
+      }
+    });
+  }
+
   /**
    * Build request headers
    */
@@ -570,57 +1462,277 @@ export class SimklApi {
   }
 }
 // Simkl Cache System 
+import { CACHE_KEYS } from './constants';
+
+// Bump when the stored entry shape changes; older cache files are discarded
+export const CACHE_FORMAT_VERSION = 2;
+
+/**
+ * Stores cache entries as JSON in the plugin data folder
+ */
+export class SimklCacheStorage {
+  constructor(plugin, fileName = 'cache.json') {
+    this.plugin = plugin;
+    this.fileName = fileName;
+  }
+
+  get path() {
+    return `${this.plugin.manifest.dir}/${this.fileName}`;
+  }
+
+  async load() {
+    const { adapter } = this.plugin.app.vault;
+
+    if (!(await adapter.exists(this.path))) {
+      return [];
+    }
+
+    const stored = JSON.parse(await adapter.read(this.path));
+
+    if (stored.version !== CACHE_FORMAT_VERSION) {
+      await adapter.remove(this.path);
+      return [];
+    }
+
+    return stored.entries || [];
+  }
+
+  async save(entries) {
+    const payload = {
+      version: CACHE_FORMAT_VERSION,
+      savedAt: Date.now(),
+      entries
+    };
+
+    await this.plugin.app.vault.adapter.write(this.path, JSON.stringify(payload));
+  }
+}
 
 export class SimklCache {
-  constructor() {
+  constructor(storage = null) {
     this.cache = new Map();
-    this.defaultTimeout = 300000; // 5 minutes
+    this.defaultTimeout = 300000; // 5 minutes, the cacheTimeout setting
+    this.storage = storage;
+    this.loadPromise = null;
+    this.saveTimer = null;
+    this.saveDelay = 5000; // batch writes
+    this.staleRetention = 7 * 24 * 60 * 60 * 1000; // expired entries kept for offline reads
+
+    // LRU bookkeeping; the Map's insertion order is the recency order
+    this.maxSize = 0; // estimated bytes, 0 = unbounded
+    this.totalSize = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Set the memory budget (estimated bytes) and evict down to it
+   */
+  setMaxSize(maxSize) {
+    this.maxSize = maxSize;
+    this.evict();
+  }
+
+  storeEntry(key, item) {
+    this.removeEntry(key);
+    item.size = item.size ?? this.estimateSize(item.data);
+    this.cache.set(key, item);
+    this.totalSize += item.size;
+  }
+
+  removeEntry(key) {
+    const item = this.cache.get(key);
+    if (!item) return false;
+    this.totalSize -= item.size || 0;
+    return this.cache.delete(key);
+  }
+
+  /**
+   * Drop least recently used items until the budget fits.
+   * The newest item is always kept, even when it alone exceeds the budget.
+   */
+  evict() {
+    let evicted = 0;
+
+    while (this.maxSize > 0 && this.totalSize > this.maxSize && this.cache.size > 1) {
+      this.removeEntry(this.cache.keys().next().value);
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      this.evictions += evicted;
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Load persisted entries once; later calls share the same promise
+   */
+  ensureLoaded() {
+    if (!this.storage) {
+      return Promise.resolve();
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadFromStorage();
+    }
+
+    return this.loadPromise;
+  }
+
+  async loadFromStorage() {
+    try {
+      const now = Date.now();
+      const entries = await this.storage.load();
+
+      for (const [key, item] of entries) {
+        // Entries set since startup are newer than the stored ones
+        if (now <= item.expiry + this.staleRetention && !this.cache.has(key)) {
+          this.storeEntry(key, item);
+        }
+      }
+      this.evict();
+    } catch (error) {
+      console.error('Failed to load Simkl cache from disk:', error);
+    }
+  }
+
+  /**
+   * Queue a write; changes within saveDelay go to disk together
+   */
+  scheduleSave() {
+    if (!this.storage || this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = window.setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+  }
+
+  /**
+   * Write pending changes to disk now
+   */
+  async flush() {
+    if (!this.storage) {
+      return;
+    }
+
+    if (this.saveTimer) {
+      window.clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    // Never overwrite the stored cache with a view that hasn't loaded it yet
+    await this.ensureLoaded();
+
+    try {
+      await this.storage.save(Array.from(this.cache.entries()));
+    } catch (error) {
+      console.error('Failed to save Simkl cache to disk:', error);
+    }
   }
 
   /**
-   * Get item from cache
+   * Get item from cache. With `allowStale`, items past their fresh window
+   * are still returned until their stale window ends (see isStale).
    */
-  get(key) {
+  get(key, { allowStale = false } = {}) {
     const item = this.cache.get(key);
     
     if (!item) {
+      this.misses++;
       return null;
     }
 
-    // Check if item has expired
-    if (Date.now() > item.expiry) {
-      this.cache.delete(key);
+    const now = Date.now();
+    const usable = now <= item.expiry || (allowStale && now <= (item.staleUntil || item.expiry));
+
+    // Expired items stay around for getEntry until cleanup
+    if (!usable) {
+      this.misses++;
       return null;
     }
 
+    // Mark as most recently used
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    this.hits++;
+
     return item.data;
   }
 
+  /**
+   * Whether an item is past its fresh window
+   */
+  isStale(key) {
+    const item = this.cache.get(key);
+    return !!item && Date.now() > item.expiry;
+  }
+
+  /**
+   * Fresh/stale windows for a key, from CACHE_KEYS.POLICIES by category
+   */
+  getPolicy(key) {
+    const category = String(key).split(':')[0];
+    const policy = CACHE_KEYS.POLICIES[category] || { stale: 0 };
+    return { fresh: policy.fresh ?? this.defaultTimeout, stale: policy.stale };
+  }
+
+  /**
+   * Get the raw entry ({ data, expiry, timestamp }) even when it has expired
+   */
+  getEntry(key) {
+    return this.cache.get(key) || null;
+  }
+
   /**
    * Set item in cache
    */
-  set(key, data, timeout = this.defaultTimeout) {
+  set(key, data, timeout) {
+    const now = Date.now();
+    const policy = this.getPolicy(key);
+    const expiry = now + (timeout ?? policy.fresh);
     const item = {
       data,
-      expiry: Date.now() + timeout,
-      timestamp: Date.now()
+      expiry,
+      staleUntil: expiry + policy.stale,
+      timestamp: now
     };
 
-    this.cache.set(key, item);
+    this.storeEntry(key, item);
+    this.evict();
+    this.scheduleSave();
   }
 
   /**
-   * Check if item exists in cache and is valid
+   * Check if item exists in cache and is fresh. Not a lookup: leaves the
+   * hit/miss stats and the item's recency alone.
    */
   has(key) {
-    return this.get(key) !== null;
+    const item = this.cache.get(key);
+    return !!item && Date.now() <= item.expiry;
   }
 
   /**
    * Remove item from cache
    */
   delete(key) {
-    return this.cache.delete(key);
+    const deleted = this.removeEntry(key);
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  /**
+   * Remove all items whose key matches the predicate
+   */
+  deleteWhere(predicate) {
+    const keysToDelete = Array.from(this.cache.keys()).filter(predicate);
+    keysToDelete.forEach(key => this.removeEntry(key));
+    if (keysToDelete.length > 0) this.scheduleSave();
+    return keysToDelete.length;
   }
 
   /**
@@ -628,6 +1740,8 @@ export class SimklCache {
    */
   clear() {
     this.cache.clear();
+    this.totalSize = 0;
+    this.scheduleSave();
   }
 
   /**
@@ -638,19 +1752,20 @@ export class SimklCache {
   }
 
   /**
-   * Clean expired items
+   * Remove items past their stale window; stale ones can still be served
    */
   cleanup() {
     const now = Date.now();
     const keysToDelete = [];
 
     for (const [key, item] of this.cache.entries()) {
-      if (now > item.expiry) {
+      if (now > (item.staleUntil || item.expiry)) {
         keysToDelete.push(key);
       }
     }
 
-    keysToDelete.forEach(key => this.cache.delete(key));
+    keysToDelete.forEach(key => this.removeEntry(key));
+    if (keysToDelete.length > 0) this.scheduleSave();
     return keysToDelete.length;
   }
 
@@ -661,22 +1776,27 @@ export class SimklCache {
     const now = Date.now();
     let validItems = 0;
     let expiredItems = 0;
-    let totalSize = 0;
 
-    for (const [key, item] of this.cache.entries()) {
+    for (const item of this.cache.values()) {
       if (now > item.expiry) {
         expiredItems++;
       } else {
         validItems++;
       }
-      totalSize += this.estimateSize(item.data);
     }
 
+    const lookups = this.hits + this.misses;
+
     return {
       totalItems: this.cache.size,
       validItems,
       expiredItems,
-      estimatedSize: totalSize
+      estimatedSize: this.totalSize,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      evictions: this.evictions
     };
   }
 
@@ -692,457 +1812,27 @@ export class SimklCache {
   }
 
   /**
-   * Set cache timeout
+   * Fresh window for categories without their own, the cacheTimeout setting
    */
   setTimeout(timeout) {
     this.defaultTimeout = timeout;
   }
 }
-// Authentication & API Layer Fix
-
-// Fix #1: Authentication Flow & API Request Structure
+// Robust Configuration Parser
+// Fix #3: Robust Configuration Parser
 
-class SimklAuthManager {
+export class SimklConfigParser {
   constructor(plugin) {
     this.plugin = plugin;
-    this.baseUrl = 'https://api.simkl.com';
+    this.validMediaTypes = ['tv', 'anime', 'movie'];
+    this.validListTypes = ['watching', 'completed', 'plantowatch', 'hold', 'dropped'];
+    this.validLayouts = ['card', 'table', 'list', 'compact', 'template'];
+    this.validRequestTypes = ['list', 'search', 'stats', 'show'];
   }
 
-  async authenticateWithPin() {
-    if (!this.plugin.settings.clientId) {
-      throw new Error('Client ID not configured. Please set it in plugin settings first.');
-    }
-
-    try {
-      // Step 1: Get PIN
-      const pinData = await this.requestPin();
-      
-      // Step 2: Show PIN modal and handle completion
-      return new Promise((resolve, reject) => {
-        const modal = new PinAuthModal(this.plugin.app, pinData, async (success, tokenData) => {
-          if (success && tokenData) {
-            try {
-              // Save tokens
-              this.plugin.settings.accessToken = tokenData.access_token;
-              this.plugin.settings.refreshToken = tokenData.refresh_token;
-              await this.plugin.saveSettings();
-              
-              // Clear cache to force refresh
-              this.plugin.cache.clear();
-              
-              new Notice('Successfully authenticated with Simkl!');
-              resolve(true);
-            } catch (error) {
-              reject(error);
-            }
-          } else {
-            reject(new Error('Authentication cancelled or failed'));
-          }
-        });
-        
-        modal.open();
-      });
-    } catch (error) {
-      console.error('Authentication error:', error);
-      throw error;
-    }
-  }
-
-  async requestPin() {
-    const url = `${this.baseUrl}/oauth/pin?client_id=${this.plugin.settings.clientId}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'simkl-api-key': this.plugin.settings.clientId
-      }
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to request PIN: ${response.status} - ${errorText}`);
-    }
-    
-    return await response.json();
-  }
-
-  isAuthenticated() {
-    return !!this.plugin.settings.accessToken;
-  }
-
-  async signOut() {
-    this.plugin.settings.accessToken = '';
-    this.plugin.settings.refreshToken = '';
-    await this.plugin.saveSettings();
-    this.plugin.cache.clear();
-  }
-}
-
-class SimklApiClient {
-  constructor(plugin) {
-    this.plugin = plugin;
-    this.baseUrl = 'https://api.simkl.com';
-  }
-
-  async makeRequest(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    
-    const headers = {
-      'Content-Type': 'application/json',
-      'simkl-api-key': this.plugin.settings.clientId,
-      ...options.headers
-    };
-
-    // Add auth header if available
-    if (this.plugin.settings.accessToken) {
-      headers['Authorization'] = `Bearer ${this.plugin.settings.accessToken}`;
-    }
-
-    const requestOptions = {
-      method: options.method || 'GET',
-      headers,
-      ...options
-    };
-
-    if (this.plugin.settings.debugMode) {
-      console.log('Simkl API Request:', url, requestOptions);
-    }
-
-    const response = await fetch(url, requestOptions);
-    
-    if (!response.ok) {
-      await this.handleApiError(response);
-    }
-
-    const data = await response.json();
-    
-    if (this.plugin.settings.debugMode) {
-      console.log('Simkl API Response:', data);
-    }
-    
-    return data;
-  }
-
-  async handleApiError(response) {
-    let errorMessage = `HTTP ${response.status}`;
-    
-    try {
-      const errorData = await response.json();
-      if (errorData.error) {
-        errorMessage += ` - ${errorData.error}`;
-      }
-      if (errorData.message) {
-        errorMessage += ` - ${errorData.message}`;
-      }
-    } catch (e) {
-      // Can't parse error response, use status text
-      errorMessage += ` - ${response.statusText}`;
-    }
-
-    // Handle specific error cases
-    switch (response.status) {
-      case 401:
-        throw new Error('Authentication failed. Please re-authenticate with Simkl.');
-      case 403:
-        throw new Error('Access forbidden. Check your API permissions.');
-      case 404:
-        throw new Error('Resource not found. Check your configuration.');
-      case 429:
-        throw new Error('Rate limit exceeded. Please try again later.');
-      case 500:
-      case 502:
-      case 503:
-        throw new Error('Simkl server error. Please try again later.');
-      default:
-        throw new Error(`Simkl API Error: ${errorMessage}`);
-    }
-  }
-
-  // Public endpoints (no auth required)
-  async searchShows(query, type = 'tv') {
-    return this.makeRequest(`/search/${type}?q=${encodeURIComponent(query)}&extended=full`);
-  }
-
-  async getShowById(id, type = 'tv') {
-    return this.makeRequest(`/${type}/${id}?extended=full`);
-  }
-
-  async getUserStats(userId) {
-    return this.makeRequest(`/users/${userId}/stats`);
-  }
-
-  // Authenticated endpoints
-  async getUserWatchlist(type = 'tv', status = 'watching') {
-    if (!this.plugin.settings.accessToken) {
-      throw new Error('Authentication required for watchlist access');
-    }
-    
-    return this.makeRequest(`/sync/all-items?extended=full`);
-  }
-
-  async getUserProfile() {
-    if (!this.plugin.settings.accessToken) {
-      throw new Error('Authentication required for profile access');
-    }
-    
-    return this.makeRequest('/users/settings');
-  }
-}
-// Improved PIN Authentication Modal
-
-// Fix #2: Improved PIN Authentication Modal
-
-class PinAuthModal extends Modal {
-  constructor(app, pinData, onComplete) {
-    super(app);
-    this.pinData = pinData;
-    this.onComplete = onComplete;
-    this.isPolling = false;
-    this.pollInterval = null;
-    this.maxAttempts = 60; // 5 minutes with 5-second intervals
-    this.currentAttempt = 0;
-  }
-
-  onOpen() {
-    const { contentEl } = this;
-    contentEl.empty();
-    contentEl.addClass('simkl-auth-modal');
-    
-    // Title
-    const titleEl = contentEl.createEl('h2', { text: 'Authenticate with Simkl' });
-    titleEl.addClass('simkl-auth-title');
-    
-    // Instructions
-    this.createInstructions(contentEl);
-    
-    // PIN display
-    this.createPinDisplay(contentEl);
-    
-    // Action buttons
-    this.createActionButtons(contentEl);
-    
-    // Status indicator
-    this.createStatusIndicator(contentEl);
-    
-    // Start polling
-    this.startPolling();
-  }
-
-  createInstructions(container) {
-    const instructionsEl = container.createEl('div', { cls: 'simkl-auth-instructions' });
-    
-    instructionsEl.createEl('p', { 
-      text: 'To authenticate with Simkl, follow these steps:',
-      cls: 'simkl-instruction-header'
-    });
-    
-    const stepsList = instructionsEl.createEl('ol', { cls: 'simkl-steps-list' });
-    
-    const steps = [
-      'Copy the PIN code below',
-      'Click "Open Simkl" to visit the authentication page',
-      'Enter the PIN code on the Simkl website',
-      'Return to Obsidian - authentication will complete automatically'
-    ];
-    
-    steps.forEach(step => {
-      stepsList.createEl('li', { text: step });
-    });
-  }
-
-  createPinDisplay(container) {
-    const pinContainer = container.createEl('div', { cls: 'simkl-pin-container' });
-    
-    pinContainer.createEl('p', { 
-      text: 'Your PIN code:',
-      cls: 'simkl-pin-label'
-    });
-    
-    const pinCodeEl = pinContainer.createEl('div', { 
-      text: this.pinData.user_code,
-      cls: 'simkl-pin-code'
-    });
-    
-    // Make PIN selectable for easy copying
-    pinCodeEl.setAttribute('tabindex', '0');
-    pinCodeEl.addEventListener('click', () => {
-      this.copyPinToClipboard();
-    });
-  }
-
-  createActionButtons(container) {
-    const buttonContainer = container.createEl('div', { cls: 'simkl-auth-buttons' });
-    
-    // Open Simkl button
-    const openUrlButton = buttonContainer.createEl('button', { 
-      text: 'Open Simkl',
-      cls: 'mod-cta'
-    });
-    openUrlButton.addEventListener('click', () => this.openSimklUrl());
-    
-    // Copy PIN button
-    this.copyButton = buttonContainer.createEl('button', { 
-      text: 'Copy PIN',
-      cls: 'mod-secondary'
-    });
-    this.copyButton.addEventListener('click', () => this.copyPinToClipboard());
-    
-    // Cancel button
-    const cancelButton = buttonContainer.createEl('button', { 
-      text: 'Cancel',
-      cls: 'mod-destructive'
-    });
-    cancelButton.addEventListener('click', () => this.close());
-  }
-
-  createStatusIndicator(container) {
-    this.statusEl = container.createEl('div', { cls: 'simkl-auth-status' });
-    this.updateStatus('Waiting for authentication...', 'waiting');
-  }
-
-  openSimklUrl() {
-    try {
-      // Try electron first (desktop app)
-      if (window.require) {
-        const { shell } = window.require('electron');
-        shell.openExternal(this.pinData.verification_url);
-      } else {
-        // Fallback for web/mobile
-        window.open(this.pinData.verification_url, '_blank');
-      }
-    } catch (error) {
-      console.error('Failed to open URL:', error);
-      new Notice('Please manually navigate to: ' + this.pinData.verification_url);
-    }
-  }
-
-  async copyPinToClipboard() {
-    try {
-      await navigator.clipboard.writeText(this.pinData.user_code);
-      this.copyButton.textContent = 'Copied!';
-      this.copyButton.addClass('success');
-      
-      setTimeout(() => {
-        this.copyButton.textContent = 'Copy PIN';
-        this.copyButton.removeClass('success');
-      }, 2000);
-    } catch (error) {
-      console.error('Failed to copy PIN:', error);
-      new Notice('Failed to copy PIN. Please copy manually: ' + this.pinData.user_code);
-    }
-  }
-
-  updateStatus(message, type = 'waiting') {
-    if (!this.statusEl) return;
-    
-    this.statusEl.textContent = message;
-    this.statusEl.className = `simkl-auth-status ${type}`;
-    
-    // Add attempt counter for waiting state
-    if (type === 'waiting' && this.currentAttempt > 0) {
-      const timeLeft = Math.max(0, this.maxAttempts - this.currentAttempt) * 5;
-      this.statusEl.textContent = `${message} (${timeLeft}s remaining)`;
-    }
-  }
-
-  startPolling() {
-    if (this.isPolling) return;
-    
-    this.isPolling = true;
-    this.currentAttempt = 0;
-    this.pollForCompletion();
-  }
-
-  async pollForCompletion() {
-    if (!this.isPolling || this.currentAttempt >= this.maxAttempts) {
-      if (this.currentAttempt >= this.maxAttempts) {
-        this.updateStatus('Authentication timed out. Please try again.', 'error');
-        setTimeout(() => this.close(), 3000);
-      }
-      return;
-    }
-
-    this.currentAttempt++;
-    
-    try {
-      const response = await fetch(
-        `https://api.simkl.com/oauth/pin/${this.pinData.user_code}?client_id=${this.app.plugins.plugins['simkl-integration'].settings.clientId}`,
-        {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'simkl-api-key': this.app.plugins.plugins['simkl-integration'].settings.clientId
-          }
-        }
-      );
-      
-      if (response.ok) {
-        const data = await response.json();
-        if (data.access_token) {
-          this.updateStatus('Authentication successful!', 'success');
-          
-          // Wait a moment before closing
-          setTimeout(() => {
-            this.close();
-            this.onComplete(true, data);
-          }, 1000);
-          return;
-        }
-      } else if (response.status === 400) {
-        // Still waiting for user authorization - continue polling
-        this.updateStatus('Waiting for authentication...', 'waiting');
-      } else {
-        // Other error - stop polling
-        this.updateStatus('Authentication failed. Please try again.', 'error');
-        setTimeout(() => this.close(), 3000);
-        return;
-      }
-    } catch (error) {
-      console.error('Polling error:', error);
-      
-      if (this.currentAttempt >= this.maxAttempts) {
-        this.updateStatus('Network error. Please check your connection.', 'error');
-        setTimeout(() => this.close(), 3000);
-        return;
-      }
-    }
-    
-    // Continue polling
-    if (this.isPolling) {
-      this.pollInterval = setTimeout(() => this.pollForCompletion(), 5000);
-    }
-  }
-
-  onClose() {
-    this.isPolling = false;
-    
-    if (this.pollInterval) {
-      clearTimeout(this.pollInterval);
-      this.pollInterval = null;
-    }
-    
-    if (this.onComplete) {
-      this.onComplete(false);
-    }
-  }
-  }
-
-// Robust Configuration Parser
-// Fix #3: Robust Configuration Parser
-
-class SimklConfigParser {
-  constructor(plugin) {
-    this.plugin = plugin;
-    this.validMediaTypes = ['tv', 'anime', 'movie'];
-    this.validListTypes = ['watching', 'completed', 'plantowatch', 'hold', 'dropped'];
-    this.validLayouts = ['card', 'table', 'list'];
-    this.validRequestTypes = ['list', 'search', 'stats', 'show'];
-  }
-
-  parseCodeBlockConfig(source) {
-    const config = this.parseConfigLines(source);
-    return this.validateAndNormalizeConfig(config, 'codeblock');
+  parseCodeBlockConfig(source) {
+    const config = this.parseConfigLines(source);
+    return this.validateAndNormalizeConfig(config, 'codeblock');
   }
 
   parseInlineConfig(href) {
@@ -1191,7 +1881,6 @@ class SimklConfigParser {
     
     if (parts[0] === 'stats') {
       config.type = 'stats';
-      config.userId = this.plugin.settings.userId;
     } else if (parts[0] === 'show' && parts[1]) {
       config.type = 'show';
       config.slug = parts[1];
@@ -1237,8 +1926,9 @@ class SimklConfigParser {
       'tmdb_id': 'tmdbId',
       'imdb': 'imdbId',
       'imdb_id': 'imdbId',
-      'simkl': 'simklId',
-      'simkl_id': 'simklId'
+      'simkl': 'showId', // Simkl IDs are what show blocks look up
+      'simkl_id': 'showId',
+      'account': 'profile'
     };
     
     return keyMap[key] || key;
@@ -1261,12 +1951,22 @@ class SimklConfigParser {
   validateAndNormalizeConfig(config, source) {
     const normalized = { ...config };
     
+    // A profile: key reads with that account's credentials and default user
+    if (normalized.profile !== undefined) {
+      normalized.profile = String(normalized.profile);
+    }
+    const settings = this.plugin.profiles.getSettings(normalized.profile);
+    if (!settings) {
+      const profiles = this.plugin.profiles.list().map(profile => profile.id);
+      throw new Error(`Invalid profile: ${normalized.profile}. Must be one of: ${profiles.join(', ')}`);
+    }
+    
     // Set defaults
     normalized.type = normalized.type || 'list';
     normalized.mediaType = normalized.mediaType || 'tv';
     normalized.listType = normalized.listType || 'watching';
     normalized.layout = normalized.layout || this.plugin.settings.defaultLayout;
-    normalized.userId = normalized.userId || this.plugin.settings.userId;
+    normalized.userId = normalized.userId || settings.userId;
     
     // Validate type
     if (!this.validRequestTypes.includes(normalized.type)) {
@@ -1301,8 +2001,12 @@ class SimklConfigParser {
       throw new Error('query is required for search type.');
     }
     
+    if (normalized.layout === 'template' && !normalized.template) {
+      throw new Error('template is required for template layout. Set it to a vault file path.');
+    }
+    
     // API configuration validation
-    if (!this.plugin.settings.clientId) {
+    if (!settings.clientId) {
       throw new Error('Client ID not configured. Please set it in plugin settings.');
     }
     
@@ -1310,599 +2014,4079 @@ class SimklConfigParser {
   }
 
   generateCacheKey(config) {
-    // Create a stable cache key
-    const keyParts = [
-      config.type,
-      config.mediaType,
-      config.listType,
-      config.userId,
-      config.slug,
-      config.showId,
-      config.query
-    ].filter(Boolean);
+    // Create a stable cache key; parts are named so a missing one
+    // can't make two different configs collide (slug vs showId)
+    const keyParts = ['profile', 'type', 'mediaType', 'listType', 'userId', 'slug', 'showId', 'query']
+      .filter(name => config[name] !== undefined && config[name] !== null && config[name] !== '')
+      .map(name => `${name}=${config[name]}`);
     
     return keyParts.join(':');
   }
 }
 
-// Simkl Authentication Manager
 
-// Simkl Authentication Manager
-class SimklAuthManager {
+// Simkl Block Processor
+import { Notice, Menu, MarkdownRenderer, MarkdownRenderChild } from 'obsidian';
+import {
+  CSS_CLASSES,
+  CACHE_KEYS,
+  SIMKL_MEDIA_TYPES,
+  SIMKL_LIST_TYPES,
+  SIMKL_LIST_LABELS,
+  REQUEST_PRIORITIES
+} from './constants';
+import { SimklConfigParser } from './parser';
+import { SimklConfirmModal } from './modals';
+
+export class SimklProcessor {
   constructor(plugin) {
     this.plugin = plugin;
-    this.authModal = null;
-    this.pollInterval = null;
-    this.maxPollAttempts = 60; // 5 minutes at 5s intervals
-    this.currentPollAttempt = 0;
+    this.settings = null;
+    this.parser = new SimklConfigParser(plugin);
+    this.activeBlocks = new Map(); // container -> config
+    this.blockParsers = new Map(); // container -> () => config, re-run when the account changes
+    this.blockControllers = new Map(); // container -> AbortController for its requests
+    this.blockChildren = new Map(); // container -> MarkdownRenderChild tied to its section
+    this.templateChildren = new Map(); // container -> component owning its last template render
   }
 
-  async authenticate() {
-    try {
-      // Step 1: Request PIN from Simkl
-      const pinData = await this.requestDevicePin();
-      
-      // Step 2: Show PIN modal to user
-      await this.showPinModal(pinData);
-      
-      return true;
-    } catch (error) {
-      console.error('[Simkl Auth] Authentication failed:', error);
-      this.plugin.showNotice(`Authentication failed: ${error.message}`);
-      return false;
-    }
+  init(settings) {
+    this.settings = settings;
   }
 
-  async requestDevicePin() {
-    const response = await fetch(`${SIMKL_API.BASE_URL}/oauth/pin`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'simkl-api-key': this.plugin.settings.clientId
-      }
-    });
-
-    if (!response.ok) {
-      const error = await this.parseApiError(response);
-      throw new Error(`Failed to request PIN: ${error}`);
-    }
-
-    return await response.json();
+  updateSettings(settings) {
+    this.settings = settings;
   }
 
-  async showPinModal(pinData) {
-    return new Promise((resolve, reject) => {
-      this.authModal = new SimklPinModal(
-        this.plugin.app, 
-        pinData, 
-        (success, tokenData) => {
-          if (success && tokenData) {
-            this.handleAuthSuccess(tokenData);
-            resolve(true);
-          } else {
-            reject(new Error('Authentication cancelled'));
-          }
-        }
-      );
-      this.authModal.open();
-    });
-  }
+  /**
+   * Render a ```simkl code block
+   */
+  async processCodeBlock(source, el, ctx) {
+    const container = el.createDiv({ cls: CSS_CLASSES.CONTAINER });
+    this.attachLifecycle(container, ctx);
 
-  async handleAuthSuccess(tokenData) {
-    // Save token to settings
-    this.plugin.settings.accessToken = tokenData.access_token;
-    this.plugin.settings.refreshToken = tokenData.refresh_token;
-    this.plugin.settings.tokenExpiry = Date.now() + (tokenData.expires_in * 1000);
-    
-    await this.plugin.saveSettings();
-    
-    // Clear cache to force refresh with new token
-    this.plugin.cache.clear();
-    
-    this.plugin.showNotice('Successfully authenticated with Simkl!');
+    await this.mountBlock(container, () => this.parser.parseCodeBlockConfig(source));
   }
 
-  async parseApiError(response) {
-    try {
-      const errorData = await response.json();
-      return errorData.error || errorData.message || `HTTP ${response.status}`;
-    } catch {
-      return `HTTP ${response.status}`;
-    }
-  }
+  /**
+   * Replace simkl: links in rendered markdown with inline data
+   */
+  async processInlineLinks(el, ctx) {
+    const links = Array.from(el.querySelectorAll('a'))
+      .filter(link => (link.getAttribute('href') || '').startsWith('simkl:'));
 
-  isAuthenticated() {
-    return !!(this.plugin.settings.accessToken && 
-              this.plugin.settings.tokenExpiry > Date.now());
-  }
+    for (const link of links) {
+      const container = createSpan({ cls: [CSS_CLASSES.CONTAINER, CSS_CLASSES.COMPACT] });
+      link.replaceWith(container);
+      this.attachLifecycle(container, ctx);
 
-  async signOut() {
-    this.plugin.settings.accessToken = '';
-    this.plugin.settings.refreshToken = '';
-    this.plugin.settings.tokenExpiry = 0;
-    
-    await this.plugin.saveSettings();
-    this.plugin.cache.clear();
-    
-    this.plugin.showNotice('Signed out from Simkl');
+      const href = link.getAttribute('href');
+      await this.mountBlock(container, () => ({ ...this.parser.parseInlineConfig(href), layout: 'list' }));
+    }
   }
 
-  getAuthHeaders() {
-    const headers = {
-      'Content-Type': 'application/json',
-      'simkl-api-key': this.plugin.settings.clientId
-    };
+  /**
+   * Parse and render a block. The parser fills in account defaults (user,
+   * client ID), so the parse is kept to run again after a profile switch.
+   */
+  async mountBlock(container, parse) {
+    this.blockParsers.set(container, parse);
 
-    if (this.isAuthenticated()) {
-      headers['Authorization'] = `Bearer ${this.plugin.settings.accessToken}`;
+    let config;
+    try {
+      config = parse();
+    } catch (error) {
+      this.blockControllers.get(container)?.abort();
+      this.activeBlocks.delete(container);
+      this.releaseTemplateRender(container);
+      container.empty();
+      this.renderError(container, error);
+      return;
     }
 
-    return headers;
+    await this.renderBlock(container, config);
   }
-}
-// Simkl PIN Authentication Modal
-class SimklPinModal extends Modal {
-  constructor(app, pinData, onComplete) {
-    super(app);
-    this.pinData = pinData;
-    this.onComplete = onComplete;
-    this.isPolling = false;
-    this.pollTimeout = null;
-    this.pollAttempts = 0;
-    this.maxPollAttempts = 60; // 5 minutes
+
+  /**
+   * Parse every block again, e.g. after switching profiles or unlocking
+   * credentials, so unqualified blocks pick up the new default user
+   */
+  reparseBlocks() {
+    for (const [container, parse] of this.blockParsers) {
+      if (!container.isConnected) {
+        this.releaseBlock(container);
+      } else {
+        this.mountBlock(container, parse);
+      }
+    }
   }
 
-  onOpen() {
-    const { contentEl } = this;
-    contentEl.empty();
-    contentEl.addClass('simkl-pin-modal');
-    
-    this.createHeader();
-    this.createInstructions();
-    this.createPinDisplay();
-    this.createActionButtons();
-    this.createStatusIndicator();
-    
-    this.startPolling();
+  /**
+   * Cancel a block's queued requests once Obsidian unloads its section,
+   * e.g. when the note is closed or scrolled out of the rendered view
+   */
+  attachLifecycle(container, ctx) {
+    const child = new MarkdownRenderChild(container);
+    child.register(() => this.releaseBlock(container));
+    ctx.addChild(child);
+    this.blockChildren.set(container, child);
   }
 
-  createHeader() {
-    const header = this.contentEl.createEl('div', { cls: 'simkl-modal-header' });
-    header.createEl('h2', { text: 'Authenticate with Simkl' });
-    header.createEl('div', { cls: 'simkl-logo' }); // For future logo
+  releaseBlock(container) {
+    this.blockControllers.get(container)?.abort();
+    this.blockControllers.delete(container);
+    this.activeBlocks.delete(container);
+    this.blockParsers.delete(container);
+    // Template components are children of the block's and unload with it
+    this.blockChildren.delete(container);
+    this.templateChildren.delete(container);
   }
 
-  createInstructions() {
-    const instructions = this.contentEl.createEl('div', { cls: 'simkl-instructions' });
-    
-    instructions.createEl('p', { 
-      text: 'Follow these steps to connect your Simkl account:' 
-    });
-    
-    const steps = instructions.createEl('ol', { cls: 'simkl-steps' });
-    steps.createEl('li', { text: 'Copy the PIN code below' });
-    steps.createEl('li', { text: 'Click "Open Simkl" to visit the authentication page' });
-    steps.createEl('li', { text: 'Enter the PIN code on the Simkl website' });
-    steps.createEl('li', { text: 'Return here - authentication will complete automatically' });
+  /**
+   * Unload what the previous template render of a block attached
+   */
+  releaseTemplateRender(container) {
+    const previous = this.templateChildren.get(container);
+    if (!previous) return;
+
+    this.templateChildren.delete(container);
+    const parent = this.blockChildren.get(container);
+    if (parent) {
+      parent.removeChild(previous);
+    } else {
+      previous.unload();
+    }
   }
 
-  createPinDisplay() {
-    const pinContainer = this.contentEl.createEl('div', { cls: 'simkl-pin-container' });
-    
-    pinContainer.createEl('div', { 
-      text: 'Your PIN Code:',
-      cls: 'simkl-pin-label' 
-    });
-    
-    this.pinDisplay = pinContainer.createEl('div', { 
-      text: this.pinData.user_code,
-      cls: 'simkl-pin-code'
-    });
-    
-    // Add click-to-copy functionality
-    this.pinDisplay.addEventListener('click', () => this.copyPin());
-    this.pinDisplay.setAttribute('title', 'Click to copy');
+  /**
+   * Fetch and render data for a parsed config
+   */
+  async renderBlock(container, config) {
+    // A re-render supersedes whatever the block was still waiting for
+    this.blockControllers.get(container)?.abort();
+    const controller = new AbortController();
+    this.blockControllers.set(container, controller);
+
+    this.activeBlocks.set(container, config);
+    this.releaseTemplateRender(container);
+    container.empty();
+    container.createDiv({ cls: CSS_CLASSES.LOADING, text: 'Loading Simkl data...' });
+
+    container.removeClass(CSS_CLASSES.OFFLINE);
+
+    try {
+      const data = await this.fetchData(config, {
+        signal: controller.signal,
+        onRevalidate: async (fresh) => {
+          // Skip blocks that were closed or re-rendered since
+          if (!container.isConnected || this.activeBlocks.get(container) !== config) return;
+          container.empty();
+          await this.renderData(container, fresh, config);
+        }
+      });
+      container.empty();
+      await this.renderData(container, data, config);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+
+      container.empty();
+
+      if (!this.plugin.offline.isOfflineError(error)) {
+        this.renderError(container, error);
+        return;
+      }
+
+      // Offline: fall back to whatever was cached last, however old
+      this.plugin.offline.goOffline();
+      container.addClass(CSS_CLASSES.OFFLINE);
+
+      const stale = this.plugin.cache.getEntry(this.getCacheKey(config));
+      if (!stale) {
+        this.renderError(container, error);
+        return;
+      }
+
+      this.renderOfflineBanner(container, stale.timestamp);
+      await this.renderData(container, stale.data, config);
+    }
   }
 
-  createActionButtons() {
-    const buttonContainer = this.contentEl.createEl('div', { cls: 'simkl-button-container' });
-    
-    // Open Simkl button
-    this.openButton = buttonContainer.createEl('button', { 
-      text: 'Open Simkl',
-      cls: 'mod-cta'
-    });
-    this.openButton.addEventListener('click', () => this.openSimklAuth());
-    
-    // Copy PIN button
-    this.copyButton = buttonContainer.createEl('button', { 
-      text: 'Copy PIN',
-      cls: 'mod-secondary'
-    });
-    this.copyButton.addEventListener('click', () => this.copyPin());
-    
-    // Cancel button
-    this.cancelButton = buttonContainer.createEl('button', { 
-      text: 'Cancel',
-      cls: 'mod-secondary'
+  renderOfflineBanner(container, timestamp) {
+    container.createDiv({
+      cls: CSS_CLASSES.OFFLINE_BANNER,
+      text: `📴 Showing data from ${new Date(timestamp).toLocaleString()}, offline`
     });
-    this.cancelButton.addEventListener('click', () => this.close());
   }
 
-  createStatusIndicator() {
-    this.statusContainer = this.contentEl.createEl('div', { cls: 'simkl-status-container' });
-    
-    this.statusIndicator = this.statusContainer.createEl('div', { cls: 'simkl-status-indicator' });
-    this.statusText = this.statusContainer.createEl('div', { 
-      text: 'Waiting for authentication...',
-      cls: 'simkl-status-text'
-    });
+  /**
+   * Re-render every block still on screen whose config matches
+   */
+  refreshBlocks(predicate) {
+    for (const [container, config] of this.activeBlocks) {
+      if (!container.isConnected) {
+        this.activeBlocks.delete(container);
+      } else if (predicate(config, container)) {
+        this.renderBlock(container, config);
+      }
+    }
   }
 
-  async openSimklAuth() {
-    try {
-      // Try electron shell first (desktop)
-      if (window.require) {
-        const { shell } = window.require('electron');
-        await shell.openExternal(this.pinData.verification_url);
-      } else {
-        // Fallback for web/mobile
-        window.open(this.pinData.verification_url, '_blank');
+  /**
+   * Fetch data through the cache
+   */
+  async fetchData(config, { signal, onRevalidate } = {}) {
+    const { cache } = this.plugin;
+    await cache.ensureLoaded();
+
+    const cacheKey = this.getCacheKey(config);
+    const cached = cache.get(cacheKey, { allowStale: true });
+
+    if (cached) {
+      if (cache.isStale(cacheKey)) {
+        this.revalidate(config, cacheKey, cached, onRevalidate);
       }
-      
-      this.updateStatus('opened', 'Browser opened - enter your PIN on Simkl');
-    } catch (error) {
-      console.error('Failed to open URL:', error);
-      this.updateStatus('error', 'Failed to open browser. Please visit: ' + this.pinData.verification_url);
+      return cached;
     }
+
+    return this.requestAndCache(config, cacheKey, { signal });
   }
 
-  async copyPin() {
-    try {
-      await navigator.clipboard.writeText(this.pinData.user_code);
-      
-      const originalText = this.copyButton.textContent;
-      this.copyButton.textContent = 'Copied!';
-      this.copyButton.addClass('mod-success');
-      
-      setTimeout(() => {
-        this.copyButton.textContent = originalText;
-        this.copyButton.removeClass('mod-success');
-      }, 2000);
-      
-    } catch (error) {
-      console.error('Failed to copy PIN:', error);
-      this.updateStatus('error', 'Failed to copy PIN. Please copy manually: ' + this.pinData.user_code);
+  /**
+   * Request data and cache it. Concurrent callers asking for the same data
+   * share one HTTP request in SimklApi; a signal only cancels this caller.
+   */
+  async requestAndCache(config, cacheKey, { signal, priority = REQUEST_PRIORITIES.VISIBLE } = {}) {
+    // Cached once by whichever caller started the request
+    const onResponse = data => this.plugin.cache.set(cacheKey, data);
+    return this.requestData(config, { priority, signal, onResponse });
+  }
+
+  /**
+   * Refresh a stale entry in the background. Blocks sharing the key share
+   * the request; each hears back only when the data actually changed.
+   */
+  revalidate(config, cacheKey, previous, onRevalidate) {
+    // No signal: the refresh outlives the blocks that asked for it. A block
+    // that needs the same data uncached promotes the shared request.
+    this.requestAndCache(config, cacheKey, { priority: REQUEST_PRIORITIES.PREFETCH })
+      .then(data => {
+        if (onRevalidate && JSON.stringify(data) !== JSON.stringify(previous)) {
+          onRevalidate(data);
+        }
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error('Background refresh failed:', error);
+        }
+      });
+  }
+
+  getCacheKey(config) {
+    switch (config.type) {
+      case 'search':
+        return CACHE_KEYS.SEARCH(config.mediaType, config.query);
+      case 'show':
+        return CACHE_KEYS.ITEM(config.mediaType, config.showId || config.slug);
+      case 'stats':
+        return CACHE_KEYS.USER_STATS(config.userId, this.getProfileId(config));
+      default:
+        return CACHE_KEYS.USER_LIST(config.userId, config.mediaType, config.listType, this.getProfileId(config));
     }
   }
 
-  startPolling() {
-    if (this.isPolling) return;
-    
-    this.isPolling = true;
-    this.pollAttempts = 0;
-    this.pollForToken();
+  getProfileId(config) {
+    return config.profile || this.plugin.settings.activeProfile;
+  }
+
+  /**
+   * Blocks pinned to another profile show that account read-only;
+   * writes always go to the active account
+   */
+  isWritable(config) {
+    return !!this.settings.accessToken && this.plugin.profiles.isActive(config.profile);
+  }
+
+  requestData(config, options) {
+    const { api, profiles } = this.plugin;
+    const account = profiles.isActive(config.profile) ? api : api.forSettings(profiles.getSettings(config.profile));
+    return this.requestFrom(account.withOptions(options), config);
+  }
+
+  requestFrom(api, config) {
+
+    switch (config.type) {
+      case 'search':
+        return api.searchMedia(config.mediaType, config.query);
+      case 'show':
+        return api.getItemDetails(config.mediaType, config.showId || config.slug);
+      case 'stats':
+        return api.getUserStats(config.userId);
+      default:
+        return api.getUserList(config.userId, config.mediaType, config.listType);
+    }
   }
 
-  async pollForToken() {
-    if (!this.isPolling || this.pollAttempts >= this.maxPollAttempts) {
-      this.updateStatus('timeout', 'Authentication timed out. Please try again.');
+  /**
+   * Dispatch rendering by request type and layout
+   */
+  async renderData(container, data, config) {
+    if (config.type === 'stats') {
+      this.renderStats(container, data);
       return;
     }
 
-    this.pollAttempts++;
-    
-    try {
-      const response = await fetch(
-        `${SIMKL_API.BASE_URL}/oauth/pin/${this.pinData.user_code}?client_id=${this.pinData.client_id}`,
-        {
-          method: 'GET',
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
-      
-      if (response.ok) {
-        const tokenData = await response.json();
-        if (tokenData.access_token) {
-          this.handleAuthSuccess(tokenData);
-          return;
-        }
-      }
-      
-      // Continue polling
-      this.pollTimeout = setTimeout(() => this.pollForToken(), 5000);
-      
-    } catch (error) {
-      console.error('Polling error:', error);
-      
-      // Retry with exponential backoff
-      const delay = Math.min(5000 * Math.pow(1.5, this.pollAttempts), 30000);
-      this.pollTimeout = setTimeout(() => this.pollForToken(), delay);
+    const items = this.extractItems(data, config)
+      .slice(0, this.settings.maxItems)
+      .map(entry => this.normalizeEntry(entry, config.mediaType));
+
+    if (config.type === 'show') {
+      await Promise.all(items.map(item => this.applyListEntry(item, config)));
+    }
+
+    if (items.length === 0) {
+      container.createDiv({ cls: CSS_CLASSES.EMPTY, text: 'No items found.' });
+      return;
+    }
+
+    switch (config.layout) {
+      case 'template':
+        return this.renderTemplate(container, items, config);
+      case 'table':
+        this.renderTable(container, items, config);
+        break;
+      case 'list':
+      case 'compact':
+        this.renderCompact(container, items);
+        break;
+      default:
+        this.renderCards(container, items, config);
     }
   }
 
-  handleAuthSuccess(tokenData) {
-    this.updateStatus('success', 'Authentication successful!');
-    
-    // Disable buttons
-    this.openButton.disabled = true;
-    this.copyButton.disabled = true;
-    this.cancelButton.textContent = 'Close';
-    
-    // Auto-close after delay
-    setTimeout(() => {
-      this.close();
-      this.onComplete(true, tokenData);
-    }, 1500);
+  extractItems(data, config) {
+    if (!data) return [];
+    if (Array.isArray(data)) return data;
+    if (config.type === 'show') return [data];
+
+    const groupKey = config.mediaType === SIMKL_MEDIA_TYPES.MOVIE ? 'movies' : config.mediaType === SIMKL_MEDIA_TYPES.ANIME ? 'anime' : 'shows';
+    return data[groupKey] || [];
   }
 
-  updateStatus(type, message) {
-    this.statusText.textContent = message;
-    this.statusContainer.removeClass('status-waiting', 'status-opened', 'status-success', 'status-error', 'status-timeout');
-    this.statusContainer.addClass(`status-${type}`);
+  /**
+   * Flatten list entries ({ show: {...}, status, ... }) and plain items into one shape
+   */
+  normalizeEntry(entry, mediaType) {
+    const media = entry.show || entry.movie || entry.anime || entry;
+    // On a plain item (title details) `status` is the airing status
+    const listEntry = media === entry ? {} : entry;
+
+    return {
+      mediaType,
+      title: media.title || 'Unknown title',
+      year: media.year,
+      ids: media.ids || {},
+      poster: media.poster,
+      genres: media.genres || [],
+      rating: media.ratings?.simkl?.rating,
+      status: listEntry.status,
+      userRating: listEntry.user_rating,
+      watchedEpisodes: listEntry.watched_episodes_count || 0,
+      totalEpisodes: listEntry.total_episodes_count || media.total_episodes || 0,
+      nextEpisode: this.parseEpisodeCode(listEntry.next_to_watch)
+    };
   }
 
-  onClose() {
-    this.isPolling = false;
-    
-    if (this.pollTimeout) {
-      clearTimeout(this.pollTimeout);
-      this.pollTimeout = null;
+  /**
+   * Title details know nothing about the user; take list status and
+   * progress from the active account's synced library
+   */
+  async applyListEntry(item, config) {
+    if (!item.ids.simkl || !this.plugin.profiles.isActive(config.profile)) {
+      return;
     }
-    
-    // Call completion callback if not already called
-    if (this.onComplete && !this.statusContainer.hasClass('status-success')) {
-      this.onComplete(false);
+
+    const entry = await this.plugin.notes.findLibraryEntry(item.ids.simkl);
+    if (!entry) {
+      return;
     }
+
+    const listed = this.normalizeEntry(entry, item.mediaType);
+    item.status = listed.status;
+    item.userRating = listed.userRating;
+    item.watchedEpisodes = listed.watchedEpisodes;
+    item.totalEpisodes = listed.totalEpisodes || item.totalEpisodes;
+    item.nextEpisode = listed.nextEpisode;
   }
-      }
-// Simkl API Client
-class SimklApiClient {
-  constructor(plugin) {
-    this.plugin = plugin;
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-    this.rateLimitDelay = 1000; // 1 second between requests
+
+  parseEpisodeCode(code) {
+    const match = /S(\d+)E(\d+)/i.exec(code || '');
+    return match ? { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) } : null;
   }
 
-  async makeRequest(endpoint, options = {}) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ endpoint, options, resolve, reject });
-      this.processQueue();
+  formatEpisodeCode({ season, episode }) {
+    return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+  }
+
+  getPosterUrl(poster) {
+    if (!poster) return null;
+    if (/^https?:\/\//.test(poster)) return poster;
+    return `https://simkl.in/posters/${poster}_m.jpg`;
+  }
+
+  renderCards(container, items, config) {
+    const grid = container.createDiv({ cls: CSS_CLASSES.CARD_GRID });
+
+    items.forEach(item => {
+      const card = grid.createDiv({ cls: CSS_CLASSES.CARD });
+      this.fillCard(card, item, config);
+      this.attachContextMenu(card, item, config);
     });
   }
 
-  async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) return;
-    
-    this.isProcessingQueue = true;
-    
-    while (this.requestQueue.length > 0) {
-      const { endpoint, options, resolve, reject } = this.requestQueue.shift();
-      
-      try {
-        const result = await this.executeRequest(endpoint, options);
-        resolve(result);
-      } catch (error) {
-        reject(error);
-      }
-      
-      // Rate limiting
-      if (this.requestQueue.length > 0) {
-        await this.delay(this.rateLimitDelay);
-      }
+  /**
+   * Render card contents; called again to update a card in place
+   */
+  fillCard(card, item, config) {
+    card.empty();
+
+    const posterUrl = this.getPosterUrl(item.poster);
+    if (this.settings.showCoverImages && posterUrl) {
+      card.createEl('img', {
+        cls: CSS_CLASSES.COVER,
+        attr: { src: posterUrl, alt: item.title, loading: 'lazy' }
+      });
     }
-    
-    this.isProcessingQueue = false;
-  }
 
-  async executeRequest(endpoint, options = {}) {
-    const { 
-      method = 'GET', 
-      params = {},
-      requiresAuth = false,
-      retries = 3,
-      timeout = 15000 
-    } = options;
+    const details = card.createDiv({ cls: CSS_CLASSES.DETAILS });
+    details.createEl('a', {
+      cls: CSS_CLASSES.TITLE,
+      text: item.title,
+      href: this.plugin.api.getSimklUrl(item.mediaType, item.ids.simkl)
+    });
 
-    // Build URL with params
-    const url = this.buildUrl(endpoint, params);
-    
-    // Get headers
-    const headers = this.plugin.authManager.getAuthHeaders();
-    
-    // Check authentication requirement
-    if (requiresAuth && !this.plugin.authManager.isAuthenticated()) {
-      throw new Error('Authentication required for this endpoint');
+    if (this.settings.showYear && item.year) {
+      details.createDiv({ text: String(item.year) });
     }
 
-    let lastError;
-    
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const response = await this.fetchWithTimeout(url, {
-          method,
-          headers,
-          signal: AbortSignal.timeout(timeout)
-        });
-        
-        if (response.ok) {
-          return await response.json();
-        }
-        
-        // Handle specific HTTP errors
-        await this.handleHttpError(response, attempt, retries);
-        
-      } catch (error) {
-        lastError = error;
-        
-        if (this.shouldRetry(error, attempt, retries)) {
-          await this.delay(1000 * attempt); // Exponential backoff
-          continue;
-        }
-        
-        throw this.processError(error);
-      }
+    if (this.settings.showRatings && item.rating) {
+      details.createDiv({ cls: CSS_CLASSES.RATING, text: `★ ${item.rating}` });
     }
-    
-    throw lastError;
+
+    if (this.settings.showStatus && item.status) {
+      details.createDiv({ cls: CSS_CLASSES.STATUS, text: item.status });
+    }
+
+    if (this.settings.showProgress && item.totalEpisodes) {
+      details.createDiv({
+        cls: CSS_CLASSES.PROGRESS,
+        text: `${item.watchedEpisodes}/${item.totalEpisodes} episodes`
+      });
+    }
+
+    if (this.settings.showGenres && item.genres.length > 0) {
+      const genresEl = details.createDiv({ cls: CSS_CLASSES.GENRES });
+      item.genres.forEach(genre => genresEl.createSpan({ cls: CSS_CLASSES.GENRE_TAG, text: genre }));
+    }
+
+    if (this.settings.showUserRatings && this.isWritable(config) && item.ids.simkl) {
+      this.renderRatingControl(details, item);
+    }
+
+    this.renderCardActions(card, item, config);
   }
 
-  buildUrl(endpoint, params = {}) {
-    const url = new URL(endpoint, SIMKL_API.BASE_URL);
-    
-    // Add client_id to all requests
-    params.client_id = this.plugin.settings.clientId;
-    
-    Object.entries(params).forEach(([key, value]) => {
-      if (value !== undefined && value !== null) {
-        url.searchParams.append(key, value);
+  /**
+   * Personal 1-10 rating select; falls back to sync data when the item has no rating of its own
+   */
+  renderRatingControl(container, item) {
+    const wrapper = container.createDiv({ cls: CSS_CLASSES.USER_RATING });
+    wrapper.createSpan({ text: 'My rating: ' });
+
+    const select = wrapper.createEl('select');
+    select.createEl('option', { text: '–', value: '' });
+    for (let rating = 10; rating >= 1; rating--) {
+      select.createEl('option', { text: String(rating), value: String(rating) });
+    }
+
+    const showRating = () => {
+      select.value = item.userRating ? String(item.userRating) : '';
+    };
+    showRating();
+
+    if (item.userRating === undefined) {
+      this.getUserRatings()
+        .then(ratings => {
+          item.userRating = ratings.get(String(item.ids.simkl));
+          showRating();
+        })
+        .catch(error => console.error('Failed to load user ratings:', error));
+    }
+
+    select.addEventListener('change', async () => {
+      const rating = parseInt(select.value, 10);
+      if (!rating) {
+        showRating();
+        return;
+      }
+
+      select.disabled = true;
+      try {
+        await this.submitRating(item, rating);
+      } catch (error) {
+        showRating();
+      } finally {
+        select.disabled = false;
       }
     });
-    
-    return url.toString();
   }
 
-  async fetchWithTimeout(url, options) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), options.timeout || 15000);
-    
+  /**
+   * Send a rating and keep local state in step
+   */
+  async submitRating(item, rating) {
     try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      return response;
+      await this.plugin.api.rateItem(item.mediaType, item.ids, rating);
+      item.userRating = rating;
+      this.plugin.sync.invalidate();
+      new Notice(`⭐ Rated ${item.title} ${rating}/10`);
     } catch (error) {
-      clearTimeout(timeoutId);
+      console.error('Rating failed:', error);
+      new Notice(`❌ Failed to rate: ${error.message}`);
       throw error;
     }
   }
 
-  async handleHttpError(response, attempt, maxRetries) {
-    const status = response.status;
-    
-    switch (status) {
-      case 401:
-        // Clear invalid token
-        await this.plugin.authManager.signOut();
-        throw new Error('Authentication expired. Please sign in again.');
-        
-      case 403:
-        throw new Error('Access forbidden. Check your API permissions.');
-        
-      case 404:
-        throw new Error('Content not found or user/list is private.');
-        
-      case 412:
-        throw new Error('Invalid API key. Please check your Client ID.');
-        
-      case 429:
-        // Rate limited - wait longer
-        if (attempt < maxRetries) {
-          await this.delay(5000 * attempt);
-          return; // Retry
-        }
-        throw new Error('Rate limit exceeded. Please try again later.');
-        
-      case 500:
-      case 502:
-      case 503:
-        // Server errors - retry
-        if (attempt < maxRetries) {
-          await this.delay(2000 * attempt);
-          return; // Retry
+  /**
+   * Map of Simkl ID -> user rating, built from the synced library
+   */
+  async getUserRatings() {
+    const data = await this.plugin.sync.getLibrary();
+    const ratings = new Map();
+    ['shows', 'anime', 'movies'].forEach(group => {
+      (data?.[group] || []).forEach(entry => {
+        const media = entry.show || entry.movie || entry.anime || entry;
+        if (media.ids?.simkl && entry.user_rating) {
+          ratings.set(String(media.ids.simkl), entry.user_rating);
         }
-        throw new Error('Simkl server error. Please try again later.');
-        
-      default:
-        const errorMessage = await this.parseErrorResponse(response);
-        throw new Error(`API Error (${status}): ${errorMessage}`);
-    }
-  }
+      });
+    });
 
-  async parseErrorResponse(response) {
-    try {
-      const errorData = await response.json();
-      return errorData.error || errorData.message || 'Unknown error';
-    } catch {
-      return 'Unable to parse error response';
-    }
+    return ratings;
   }
 
-  shouldRetry(error, attempt, maxRetries) {
-    if (attempt >= maxRetries) return false;
-    
-    // Retry on network errors
-    if (error.name === 'AbortError' || 
-        error.name === 'TypeError' ||
-        error.message.includes('fetch') ||
-        error.message.includes('network')) {
-      return true;
-    }
-    
-    // Don't retry on client errors
-    if (error.message.includes('Authentication') ||
-        error.message.includes('forbidden') ||
-        error.message.includes('Invalid API key')) {
-      return false;
+  /**
+   * Card buttons; write actions only on list and show blocks with a token
+   */
+  renderCardActions(card, item, config) {
+    if (!item.ids.simkl) {
+      return;
     }
-    
-    return true;
-  }
 
-  processError(error) {
-    if (error.name === 'AbortError') {
-      return new Error('Request timed out. Please check your connection.');
-    }
-    
-    if (error.message.includes('fetch')) {
-      return new Error('Network error. Please check your internet connection.');
+    const actions = card.createDiv({ cls: CSS_CLASSES.CARD_ACTIONS });
+    this.createActionButton(actions, '📝 Note', button => this.createNote(item, button));
+
+    if (!['list', 'show'].includes(config.type) || !this.isWritable(config)) {
+      return;
     }
-    
-    return error;
-  }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+    if (item.mediaType !== SIMKL_MEDIA_TYPES.MOVIE && item.nextEpisode) {
+      const next = item.nextEpisode;
+      this.createActionButton(actions, `✓ ${this.formatEpisodeCode(next)}`,
+        button => this.markWatched(card, item, config, { season: next.season, episode: next.episode }, button));
+      this.createActionButton(actions, `✓ Season ${next.season}`,
+        button => this.markWatched(card, item, config, { season: next.season }, button));
+      return;
+    }
 
-  // Public API methods
-  async getUserStats(userId) {
-    return this.makeRequest(`/users/${userId}/stats`);
+    if (item.status !== 'completed') {
+      const label = item.mediaType === SIMKL_MEDIA_TYPES.MOVIE ? '✓ Mark watched' : '✓ Mark all watched';
+      this.createActionButton(actions, label,
+        button => this.markWatched(card, item, config, {}, button));
+    }
   }
 
-  async getUserList(userId, mediaType, listType) {
-    return this.makeRequest(`/users/${userId}/list/${mediaType}/${listType}`, {
-      params: { extended: 'full' }
+  createActionButton(container, text, onClick) {
+    const button = container.createEl('button', { cls: CSS_CLASSES.ACTION_BUTTON, text });
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      onClick(button);
     });
+    return button;
   }
 
-  async getUserSyncData(mediaType = 'all') {
-    return this.makeRequest('/sync/all-items', {
-      params: { 
-        extended: 'full',
-        type: mediaType 
-      },
-      requiresAuth: true
-    });
+  /**
+   * Create or refresh the title's note and open it
+   */
+  async createNote(item, button) {
+    if (button) button.disabled = true;
+
+    try {
+      const { file, created } = await this.plugin.notes.createOrUpdateNote(item);
+      new Notice(created ? `📝 Created ${file.basename}` : `📝 Updated ${file.basename}`);
+      await this.plugin.app.workspace.getLeaf(true).openFile(file);
+    } catch (error) {
+      console.error('Create note failed:', error);
+      new Notice(`❌ Failed to create note: ${error.message}`);
+    } finally {
+      if (button) button.disabled = false;
+    }
   }
 
-  async searchMedia(query, mediaType = 'show') {
-    return this.makeRequest(`/search/${mediaType}`, {
-      params: { 
-        q: query,
-        extended: 'full' 
+  /**
+   * Post to the history endpoint and update the card in place
+   */
+  async markWatched(card, item, config, target, button) {
+    // Without a season, a show or anime means every episode it has
+    if (target.season === undefined && item.mediaType !== SIMKL_MEDIA_TYPES.MOVIE) {
+      const confirmed = await new SimklConfirmModal(this.plugin.app, {
+        title: `Mark all of ${item.title} watched?`,
+        message: `This adds every episode of ${item.title} to your Simkl history.`,
+        confirmText: 'Mark all watched'
+      }).prompt();
+
+      if (!confirmed) {
+        return;
       }
-    });
+    }
+
+    button.disabled = true;
+
+    try {
+      await this.plugin.api.markAsWatched(item.mediaType, item.ids, target);
+
+      this.applyWatched(item, target);
+      this.plugin.cache.delete(this.getCacheKey(config));
+      this.plugin.sync.invalidate();
+      this.plugin.watchLog.recordWatched(item, target);
+      this.fillCard(card, item, config);
+
+      new Notice(`✅ Marked ${item.title} as watched`);
+    } catch (error) {
+      console.error('Mark watched failed:', error);
+      new Notice(`❌ Failed to mark as watched: ${error.message}`);
+      button.disabled = false;
+    }
   }
 
-  async getMediaDetails(mediaType, id) {
-    return this.makeRequest(`/${mediaType}/${id}`, {
-      params: { extended: 'full' }
-    });
+  /**
+   * Mirror a successful history write onto the local item
+   */
+  applyWatched(item, { season, episode }) {
+    if (season === undefined) {
+      item.status = 'completed';
+      item.watchedEpisodes = item.totalEpisodes;
+      item.nextEpisode = null;
+      return;
+    }
+
+    if (episode !== undefined) {
+      item.watchedEpisodes++;
+      item.nextEpisode = { season, episode: episode + 1 };
+    } else {
+      // Episode count of the season is unknown here; the next sync fixes the progress
+      item.nextEpisode = { season: season + 1, episode: 1 };
+    }
+
+    if (item.totalEpisodes && item.watchedEpisodes >= item.totalEpisodes) {
+      item.status = 'completed';
+      item.nextEpisode = null;
+    }
+  }
+
+  /**
+   * Right-click menu to move a title between statuses or drop it from the list
+   */
+  attachContextMenu(el, item, config) {
+    if (!this.isWritable(config) || !item.ids.simkl) {
+      return;
+    }
+
+    el.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+
+      const menu = new Menu();
+
+      Object.values(SIMKL_LIST_TYPES).forEach(listType => {
+        menu.addItem(menuItem => menuItem
+          .setTitle(`Move to ${SIMKL_LIST_LABELS[listType]}`)
+          .setChecked(item.status === listType)
+          .onClick(() => this.moveToList(item, listType)));
+      });
+
+      menu.addSeparator();
+      menu.addItem(menuItem => menuItem
+        .setTitle('Remove from list and delete history…')
+        .setIcon('trash')
+        .onClick(() => this.removeFromHistory(item)));
+
+      menu.showAtMouseEvent(event);
+    });
+  }
+
+  async moveToList(item, listType) {
+    try {
+      await this.plugin.api.addToList(item.mediaType, item.ids, listType);
+      item.status = listType;
+      this.invalidateLists(item.mediaType);
+      new Notice(`✅ Moved ${item.title} to ${SIMKL_LIST_LABELS[listType]}`);
+    } catch (error) {
+      console.error('Move to list failed:', error);
+      new Notice(`❌ Failed to update list: ${error.message}`);
+    }
+  }
+
+  async removeFromHistory(item) {
+    const confirmed = await new SimklConfirmModal(this.plugin.app, {
+      title: `Remove ${item.title}?`,
+      message: `This removes ${item.title} from your Simkl lists and deletes its whole watch history ` +
+        '(every watched episode or play). This cannot be undone.',
+      confirmText: 'Remove and delete history',
+      warning: true
+    }).prompt();
+
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      await this.plugin.api.removeFromHistory(item.mediaType, item.ids);
+      item.status = undefined;
+      this.invalidateLists(item.mediaType);
+      new Notice(`✅ Removed ${item.title} and its watch history`);
+    } catch (error) {
+      console.error('Remove from list failed:', error);
+      new Notice(`❌ Failed to remove from list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop cached lists for a media type and re-render the blocks showing them
+   */
+  invalidateLists(mediaType) {
+    // USER_LIST keys are `list:<userId>:<mediaType>:<listType>@<profile>`
+    this.plugin.cache.deleteWhere(key => key.startsWith('list:') && key.split(':')[2] === mediaType);
+    this.plugin.sync.invalidate();
+
+    this.refreshBlocks(config => config.type === 'list' && config.mediaType === mediaType);
+  }
+
+  renderTable(container, items, config) {
+    const table = container.createEl('table', { cls: CSS_CLASSES.TABLE });
+    const headerRow = table.createEl('thead').createEl('tr');
+    ['Title', 'Year', 'Status', 'Progress', 'Rating'].forEach(text => headerRow.createEl('th', { text }));
+
+    const body = table.createEl('tbody');
+    items.forEach(item => {
+      const row = body.createEl('tr');
+      row.createEl('td').createEl('a', {
+        text: item.title,
+        href: this.plugin.api.getSimklUrl(item.mediaType, item.ids.simkl)
+      });
+      row.createEl('td', { text: item.year ? String(item.year) : '-' });
+      row.createEl('td', { text: item.status || '-' });
+      row.createEl('td', { text: item.totalEpisodes ? `${item.watchedEpisodes}/${item.totalEpisodes}` : '-' });
+      row.createEl('td', { text: item.rating ? String(item.rating) : '-' });
+      this.attachContextMenu(row, item, config);
+    });
+  }
+
+  renderCompact(container, items) {
+    items.forEach((item, index) => {
+      if (index > 0) container.appendText(', ');
+      container.createEl('a', {
+        text: item.title,
+        href: this.plugin.api.getSimklUrl(item.mediaType, item.ids.simkl)
+      });
+    });
+  }
+
+  /**
+   * Render each item through a vault template file as markdown
+   */
+  async renderTemplate(container, items, config) {
+    const { templates } = this.plugin;
+    const template = await templates.loadTemplate(config.template);
+
+    const sections = [];
+    for (const item of items) {
+      const context = await templates.createContext(item, template);
+      sections.push(templates.render(template, context));
+    }
+
+    // Whatever the markdown renders lives as long as this render of the
+    // block, not as long as the plugin
+    this.releaseTemplateRender(container);
+    const component = new MarkdownRenderChild(container);
+    this.templateChildren.set(container, component);
+    const parent = this.blockChildren.get(container);
+    if (parent) {
+      parent.addChild(component);
+    } else {
+      component.load();
+    }
+
+    await MarkdownRenderer.render(this.plugin.app, sections.join('\n'), container, config.template, component);
+  }
+
+  renderStats(container, stats) {
+    const table = container.createEl('table', { cls: CSS_CLASSES.TABLE });
+    const body = table.createEl('tbody');
+
+    ['tv', 'anime', 'movies'].forEach(group => {
+      const groupStats = stats?.[group];
+      if (!groupStats) return;
+
+      Object.entries(groupStats).forEach(([listType, value]) => {
+        if (!value || typeof value.count !== 'number') return;
+        const row = body.createEl('tr');
+        row.createEl('td', { text: `${group} / ${listType}` });
+        row.createEl('td', { text: String(value.count) });
+      });
+    });
+
+    if (stats?.total_mins) {
+      const row = body.createEl('tr');
+      row.createEl('td', { text: 'Total hours' });
+      row.createEl('td', { text: String(Math.round(stats.total_mins / 60)) });
+    }
+  }
+
+  renderError(container, error) {
+    container.createDiv({ cls: CSS_CLASSES.ERROR, text: `⚠️ ${error.message}` });
+  }
+}
+
+
+// Simkl Rating Modal
+import { Modal } from 'obsidian';
+import { CSS_CLASSES } from './constants';
+
+export class SimklRatingModal extends Modal {
+  constructor(app, title, currentRating, onRate) {
+    super(app);
+    this.title = title;
+    this.currentRating = currentRating;
+    this.onRate = onRate;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass('simkl-rating-modal');
+
+    contentEl.createEl('h2', { text: `Rate ${this.title}` });
+    contentEl.createEl('p', {
+      text: this.currentRating ? `Your current rating: ${this.currentRating}/10` : 'Not rated yet',
+      cls: 'setting-item-description'
+    });
+
+    const buttonContainer = contentEl.createDiv({ cls: CSS_CLASSES.USER_RATING });
+
+    for (let rating = 1; rating <= 10; rating++) {
+      const button = buttonContainer.createEl('button', { text: String(rating) });
+      if (rating === this.currentRating) {
+        button.addClass('mod-cta');
+      }
+      button.addEventListener('click', async () => {
+        buttonContainer.querySelectorAll('button').forEach(el => { el.disabled = true; });
+        try {
+          await this.onRate(rating);
+          this.close();
+        } catch (error) {
+          buttonContainer.querySelectorAll('button').forEach(el => { el.disabled = false; });
+        }
+      });
+    }
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+
+// Simkl Sync Engine
+import { LIBRARY_MEDIA_TYPES, REQUEST_PRIORITIES } from './constants';
+
+const LIBRARY_FILE = 'library.json';
+const LIBRARY_VERSION = 1;
+
+// all-items section -> last-activities key
+const ACTIVITY_GROUPS = {
+  shows: 'tv_shows',
+  anime: 'anime',
+  movies: 'movies'
+};
+
+export class SimklSyncEngine {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.library = null;
+    this.pendingSync = null;
+    this.stale = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to sync results; returns an unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  get libraryPath() {
+    // Each profile keeps its own library
+    return this.plugin.profiles.dataPath(LIBRARY_FILE);
+  }
+
+  /**
+   * Delete the stored library of a removed profile
+   */
+  async deleteProfileData(profileId) {
+    const path = this.plugin.profiles.dataPath(LIBRARY_FILE, profileId);
+    const { adapter } = this.plugin.app.vault;
+    if (await adapter.exists(path)) {
+      await adapter.remove(path);
+    }
+  }
+
+  /**
+   * Forget the loaded library, e.g. after switching profiles. A running sync
+   * finishes first so it can't write into the next profile's library.
+   */
+  async reset() {
+    await this.pendingSync?.catch(() => {});
+    this.library = null;
+    this.stale = false;
+  }
+
+  /**
+   * Load the stored library from the plugin folder (once)
+   */
+  async load() {
+    if (this.library) {
+      return this.library;
+    }
+
+    const { adapter } = this.plugin.app.vault;
+
+    try {
+      if (await adapter.exists(this.libraryPath)) {
+        const stored = JSON.parse(await adapter.read(this.libraryPath));
+        if (stored.version === LIBRARY_VERSION) {
+          this.library = stored;
+          return this.library;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load Simkl library, starting fresh:', error);
+    }
+
+    this.library = this.createEmptyLibrary();
+    return this.library;
+  }
+
+  createEmptyLibrary() {
+    return {
+      version: LIBRARY_VERSION,
+      activities: null,
+      syncedAt: 0,
+      items: { shows: {}, anime: {}, movies: {} }
+    };
+  }
+
+  async save() {
+    await this.plugin.app.vault.adapter.write(this.libraryPath, JSON.stringify(this.library));
+  }
+
+  /**
+   * Library in the getAllSyncItems shape. Only checks activities again once
+   * the last check is older than cacheTimeout or a local write made it stale.
+   */
+  async getLibrary() {
+    const library = await this.load();
+
+    if (this.stale || Date.now() - library.syncedAt > this.plugin.settings.cacheTimeout) {
+      await this.sync();
+    }
+
+    const result = {};
+    Object.keys(ACTIVITY_GROUPS).forEach(group => {
+      result[group] = Object.values(this.library.items[group]);
+    });
+    return result;
+  }
+
+  /**
+   * Force an activities check on the next read
+   */
+  invalidate() {
+    this.stale = true;
+  }
+
+  /**
+   * Syncing never holds up blocks the user is looking at
+   */
+  getApi() {
+    return this.plugin.api.withOptions({ priority: REQUEST_PRIORITIES.BACKGROUND });
+  }
+
+  /**
+   * Run a sync, sharing the pending one if a sync is already running
+   */
+  sync() {
+    if (!this.pendingSync) {
+      this.pendingSync = this.runSync().finally(() => {
+        this.pendingSync = null;
+      });
+    }
+    return this.pendingSync;
+  }
+
+  async runSync() {
+    const library = await this.load();
+    const api = this.getApi();
+    const activities = await api.getLastActivities();
+    const changes = { updated: 0, removed: 0, watched: [] };
+
+    for (const [group, activityKey] of Object.entries(ACTIVITY_GROUPS)) {
+      const previous = library.activities?.[activityKey] || {};
+      const current = activities?.[activityKey] || {};
+
+      if (previous.all && current.all === previous.all) {
+        continue;
+      }
+
+      // Without a stored timestamp this is the first sync of the section
+      const options = { type: group };
+      if (previous.all) {
+        options.date_from = previous.all;
+      } else {
+        library.items[group] = {};
+      }
+
+      const data = await api.getAllSyncItems(options);
+      changes.updated += this.mergeEntries(group, data?.[group], changes.watched);
+
+      // Removals never show up in a date_from response
+      if (previous.all && current.removed_from_list !== previous.removed_from_list) {
+        changes.removed += await this.pruneRemoved(group);
+      }
+    }
+
+    library.activities = activities;
+    library.syncedAt = Date.now();
+    this.stale = false;
+
+    await this.save();
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(changes);
+      } catch (error) {
+        console.error('Sync listener failed:', error);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Upsert entries keyed by Simkl ID, collecting ones with a newer last watch
+   */
+  mergeEntries(group, entries, watched = []) {
+    let count = 0;
+
+    (entries || []).forEach(entry => {
+      const id = this.getEntryId(entry);
+      if (!id) return;
+
+      const previous = this.library.items[group][id];
+      if (entry.last_watched_at && entry.last_watched_at !== previous?.last_watched_at) {
+        watched.push({ entry, mediaType: LIBRARY_MEDIA_TYPES[group] });
+      }
+
+      this.library.items[group][id] = entry;
+      count++;
+    });
+
+    return count;
+  }
+
+  /**
+   * Drop entries that are no longer on any list
+   */
+  async pruneRemoved(group) {
+    const data = await this.getApi().getAllSyncItems({ type: group, extended: 'simkl_ids_only' });
+    const remaining = new Set((data?.[group] || []).map(entry => this.getEntryId(entry)));
+    let count = 0;
+
+    Object.keys(this.library.items[group]).forEach(id => {
+      if (!remaining.has(id)) {
+        delete this.library.items[group][id];
+        count++;
+      }
+    });
+
+    return count;
+  }
+
+  getEntryId(entry) {
+    const media = entry.show || entry.movie || entry.anime || entry;
+    return media.ids?.simkl ? String(media.ids.simkl) : null;
+  }
+}
+
+
+// Simkl Note Manager
+import { normalizePath, TFile } from 'obsidian';
+import { CACHE_KEYS, DEFAULT_NOTE_TEMPLATE, LIBRARY_MEDIA_TYPES, REQUEST_PRIORITIES } from './constants';
+
+export class SimklNoteManager {
+  constructor(plugin) {
+    this.plugin = plugin;
+    // simkl_id -> note, built on the first lookup and kept current from
+    // vault and metadata events; idsByPath is the reverse for updates
+    this.notesById = null;
+    this.idsByPath = new Map();
+  }
+
+  /**
+   * Create the note for a title, or refresh the frontmatter of the existing one.
+   * The note body is never touched after creation.
+   */
+  async createOrUpdateNote(item, libraryEntry, requestOptions) {
+    const { app } = this.plugin;
+    const details = await this.getDetails(item, requestOptions);
+    const frontmatter = await this.buildFrontmatter(item, details, libraryEntry);
+
+    let file = this.findNote(item.ids.simkl);
+    const created = !file;
+
+    if (!file) {
+      await this.ensureFolder(this.plugin.settings.notesFolder);
+      file = await app.vault.create(this.getNotePath(frontmatter.title), await this.buildBody(item, details));
+      // The metadata cache catches up later; later lookups in this run need it now
+      this.setIndexEntry(file, frontmatter.simkl_id);
+    }
+
+    await app.fileManager.processFrontMatter(file, (existing) => {
+      Object.entries(frontmatter).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') {
+          delete existing[key];
+        } else {
+          existing[key] = value;
+        }
+      });
+    });
+
+    await this.plugin.frontmatterSync.recordBase(frontmatter.simkl_id, frontmatter);
+
+    return { file, created };
+  }
+
+  /**
+   * Full item details, shared with the block cache
+   */
+  async getDetails(item, requestOptions) {
+    const cacheKey = CACHE_KEYS.ITEM(item.mediaType, item.ids.simkl);
+    const cached = this.plugin.cache.get(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    const api = requestOptions ? this.plugin.api.withOptions(requestOptions) : this.plugin.api;
+    const details = await api.getItemDetails(item.mediaType, item.ids.simkl);
+    this.plugin.cache.set(cacheKey, details);
+    return details;
+  }
+
+  async buildFrontmatter(item, details, knownEntry) {
+    const ids = { ...item.ids, ...(details?.ids || {}) };
+    const libraryEntry = knownEntry || await this.findLibraryEntry(ids.simkl);
+
+    return {
+      simkl_id: ids.simkl,
+      simkl_type: item.mediaType,
+      title: details?.title || item.title,
+      year: details?.year || item.year,
+      imdb_id: ids.imdb,
+      tmdb_id: ids.tmdb,
+      mal_id: ids.mal,
+      genres: details?.genres || item.genres,
+      runtime: details?.runtime,
+      airing_status: details?.status,
+      simkl_status: libraryEntry?.status,
+      simkl_rating: libraryEntry?.user_rating,
+      simkl_progress: libraryEntry?.watched_episodes_count,
+      poster: this.plugin.processor.getPosterUrl(details?.poster || item.poster)
+    };
+  }
+
+  /**
+   * The user's own list entry for a title; public-only setups have none
+   */
+  async findLibraryEntry(simklId) {
+    if (!this.plugin.settings.accessToken) {
+      return null;
+    }
+
+    try {
+      const library = await this.plugin.sync.getLibrary();
+      for (const group of Object.values(library)) {
+        const entry = group.find(candidate => this.plugin.sync.getEntryId(candidate) === String(simklId));
+        if (entry) return entry;
+      }
+    } catch (error) {
+      console.error('Failed to read library for note:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or update a note for every title in the user's library.
+   * Detail requests queue behind anything on screen and are dropped on cancel.
+   */
+  async importLibrary({ signal, onProgress } = {}) {
+    const library = await this.plugin.sync.getLibrary();
+    const report = { created: [], updated: [], skipped: [] };
+
+    const entries = [];
+    Object.entries(LIBRARY_MEDIA_TYPES).forEach(([group, mediaType]) => {
+      (library[group] || []).forEach(entry => entries.push({ entry, mediaType }));
+    });
+
+    for (let index = 0; index < entries.length; index++) {
+      if (signal?.aborted) {
+        break;
+      }
+
+      const { entry, mediaType } = entries[index];
+      const item = this.plugin.processor.normalizeEntry(entry, mediaType);
+      onProgress?.({ done: index, total: entries.length, title: item.title, report });
+
+      if (!item.ids.simkl) {
+        report.skipped.push({ title: item.title, reason: 'No Simkl ID' });
+        continue;
+      }
+
+      try {
+        const { file, created } = await this.createOrUpdateNote(item, entry, {
+          priority: REQUEST_PRIORITIES.BACKGROUND,
+          signal
+        });
+        (created ? report.created : report.updated).push({ title: item.title, path: file.path });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          break;
+        }
+        console.error(`Import failed for ${item.title}:`, error);
+        report.skipped.push({ title: item.title, reason: error.message });
+      }
+    }
+
+    report.cancelled = !!signal?.aborted;
+    report.total = entries.length;
+    return report;
+  }
+
+  async buildBody(item, details) {
+    const { templates, settings } = this.plugin;
+    const template = settings.noteTemplate
+      ? await templates.loadTemplate(settings.noteTemplate)
+      : DEFAULT_NOTE_TEMPLATE;
+
+    return templates.render(template, await templates.createContext(item, template, details));
+  }
+
+  /**
+   * Find a note by `simkl_id` so renamed or moved notes are still updated
+   */
+  findNote(simklId) {
+    return this.getNoteIndex().get(String(simklId)) || null;
+  }
+
+  getNoteIndex() {
+    if (!this.notesById) {
+      this.notesById = new Map();
+      this.idsByPath.clear();
+      this.plugin.app.vault.getMarkdownFiles().forEach(file => this.indexNote(file));
+    }
+    return this.notesById;
+  }
+
+  indexNote(file) {
+    const frontmatter = this.plugin.app.metadataCache.getFileCache(file)?.frontmatter;
+    this.setIndexEntry(file, frontmatter?.simkl_id);
+  }
+
+  setIndexEntry(file, simklId) {
+    this.removeIndexEntry(file.path);
+    if (simklId === undefined || simklId === null || simklId === '') return;
+
+    const id = String(simklId);
+    // With duplicates, the note found first keeps the ID
+    if (!this.notesById.has(id)) {
+      this.notesById.set(id, file);
+    }
+    this.idsByPath.set(file.path, id);
+  }
+
+  removeIndexEntry(path) {
+    const id = this.idsByPath.get(path);
+    if (id === undefined) return;
+
+    this.idsByPath.delete(path);
+    if (this.notesById.get(id)?.path === path) {
+      this.notesById.delete(id);
+    }
+  }
+
+  /**
+   * Vault events keep the index current once it has been built
+   */
+  onMetadataChanged(file) {
+    if (this.notesById) this.indexNote(file);
+  }
+
+  onFileDeleted(file) {
+    if (this.notesById) this.removeIndexEntry(file.path);
+  }
+
+  onFileRenamed(file, oldPath) {
+    if (!this.notesById) return;
+    const id = this.idsByPath.get(oldPath);
+    if (id === undefined) return;
+    this.idsByPath.delete(oldPath);
+    this.idsByPath.set(file.path, id);
+  }
+
+  getNotePath(title) {
+    const safeTitle = String(title).replace(/[\\/:*?"<>|#^[\]]/g, '').trim() || 'Untitled';
+    const folder = this.plugin.settings.notesFolder;
+    let path = normalizePath(folder ? `${folder}/${safeTitle}.md` : `${safeTitle}.md`);
+
+    // Two different titles can sanitize to the same name
+    let suffix = 2;
+    while (this.plugin.app.vault.getAbstractFileByPath(path) instanceof TFile) {
+      path = normalizePath(folder ? `${folder}/${safeTitle} ${suffix}.md` : `${safeTitle} ${suffix}.md`);
+      suffix++;
+    }
+
+    return path;
+  }
+
+  async ensureFolder(folder) {
+    if (!folder) return;
+
+    const path = normalizePath(folder);
+    if (!this.plugin.app.vault.getAbstractFileByPath(path)) {
+      await this.plugin.app.vault.createFolder(path);
+    }
+  }
+}
+
+
+// Simkl Settings Tab
+import { PluginSettingTab, Setting, Notice } from 'obsidian';
+import { SIMKL_LAYOUTS, SIMKL_API_BASE } from './constants';
+import { SimklPassphraseModal } from './secrets';
+import { SimklConfirmModal } from './modals';
+
+export class SimklSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+
+    containerEl.createEl('h2', { text: 'Simkl Settings' });
+
+    this.displayProfileSettings(containerEl);
+    this.displayAccountSettings(containerEl);
+    this.displaySecuritySettings(containerEl);
+    this.displayDisplaySettings(containerEl);
+    this.displayNoteSettings(containerEl);
+    this.displaySyncSettings(containerEl);
+    this.displayWatchLogSettings(containerEl);
+    this.displayConnectionSettings(containerEl);
+    this.displayCacheSettings(containerEl);
+  }
+
+  hide() {
+    this.stopStatsTimer();
+  }
+
+  stopStatsTimer() {
+    if (this.statsTimer) {
+      window.clearInterval(this.statsTimer);
+      this.statsTimer = null;
+    }
+  }
+
+  displayCacheSettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Cache' });
+
+    new Setting(containerEl)
+      .setName('Memory budget (MB)')
+      .setDesc('Least recently used entries are dropped past this size')
+      .addText(text => text
+        .setValue(String(Math.round(this.plugin.settings.cacheMaxSize / (1024 * 1024))))
+        .onChange(async (value) => {
+          const megabytes = parseFloat(value);
+          if (!Number.isFinite(megabytes) || megabytes <= 0) return;
+          this.plugin.settings.cacheMaxSize = Math.round(megabytes * 1024 * 1024);
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Refresh account data after (minutes)')
+      .setDesc('Lists, stats and the synced library are fetched again once older than this')
+      .addText(text => text
+        .setValue(String(Math.round(this.plugin.settings.cacheTimeout / 60000)))
+        .onChange(async (value) => {
+          const minutes = parseFloat(value);
+          if (!Number.isFinite(minutes) || minutes <= 0) return;
+          this.plugin.settings.cacheTimeout = Math.round(minutes * 60000);
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Concurrent requests')
+      .setDesc('How many Simkl requests may run at once')
+      .addSlider(slider => slider
+        .setLimits(1, 4, 1)
+        .setValue(this.plugin.settings.maxConcurrentRequests)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.maxConcurrentRequests = value;
+          await this.plugin.saveSettings();
+        }));
+
+    const statsSetting = new Setting(containerEl)
+      .setName('Cache usage')
+      .addButton(button => button
+        .setButtonText('Clear cache')
+        .setWarning()
+        .onClick(() => {
+          this.plugin.cache.clear();
+          updateStats();
+        }));
+
+    const updateStats = () => {
+      const stats = this.plugin.cache.getStats();
+      const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+      statsSetting.setDesc(
+        `${stats.totalItems} items · ${megabytes(stats.estimatedSize)} / ${megabytes(stats.maxSize)} MB · ` +
+        `${stats.hits} hits · ${stats.misses} misses (${Math.round(stats.hitRate * 100)}% hit rate) · ` +
+        `${stats.evictions} evictions`
+      );
+    };
+
+    updateStats();
+    this.stopStatsTimer();
+    // Registered too, so unloading the plugin with the tab open stops it
+    this.statsTimer = this.plugin.registerInterval(window.setInterval(updateStats, 1000));
+  }
+
+  displayProfileSettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Profiles' });
+
+    const { profiles, settings } = this.plugin;
+    const active = profiles.list().find(profile => profile.id === settings.activeProfile);
+
+    new Setting(containerEl)
+      .setName(`Active profile: ${active.name}`)
+      .setDesc(`Used by blocks without a profile: key, and for ratings and list changes. Other profiles can be shown with "profile: <id>".`);
+
+    profiles.list()
+      .filter(profile => profile.id !== settings.activeProfile)
+      .forEach(profile => {
+        new Setting(containerEl)
+          .setName(profile.name)
+          .setDesc(`profile: ${profile.id} · ${profile.accessToken ? '✅ Authenticated' : 'Not authenticated'}`)
+          .addButton(button => button
+            .setButtonText('Switch')
+            .onClick(async () => {
+              await profiles.switchTo(profile.id);
+              this.display();
+            }))
+          .addExtraButton(button => button
+            .setIcon('trash')
+            .setTooltip('Remove profile')
+            .onClick(async () => {
+              const confirmed = await new SimklConfirmModal(this.app, {
+                title: `Remove ${profile.name}?`,
+                message: `This deletes the credentials, synced library and cached data of ${profile.name}. ` +
+                  `Blocks with "profile: ${profile.id}" will stop loading.`,
+                confirmText: 'Remove profile',
+                warning: true
+              }).prompt();
+
+              if (confirmed) {
+                await profiles.remove(profile.id);
+                this.display();
+              }
+            }));
+      });
+
+    let name = '';
+    new Setting(containerEl)
+      .setName('Add profile')
+      .setDesc('Each profile has its own credentials, default user and cached data')
+      .addText(text => text
+        .setPlaceholder('Name')
+        .onChange(value => { name = value.trim(); }))
+      .addButton(button => button
+        .setButtonText('Add')
+        .onClick(async () => {
+          if (!name) return;
+          await profiles.add(name);
+          this.display();
+        }));
+  }
+
+  displayAccountSettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Account' });
+
+    new Setting(containerEl)
+      .setName('Client ID')
+      .setDesc('Your Simkl application Client ID (required)')
+      .addText(text => text
+        .setPlaceholder('Enter your Simkl Client ID...')
+        .setValue(this.plugin.settings.clientId)
+        .onChange(async (value) => {
+          this.plugin.settings.clientId = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Client secret')
+      .setDesc('Optional. Lets the plugin refresh tokens that expire instead of asking you to sign in again.')
+      .addText(text => {
+        text.inputEl.type = 'password';
+        text
+          .setValue(this.plugin.settings.clientSecret)
+          .onChange(async (value) => {
+            this.plugin.settings.clientSecret = value.trim();
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Default user')
+      .setDesc('User ID used by blocks that do not name one')
+      .addText(text => text
+        .setValue(this.plugin.settings.userId)
+        .onChange(async (value) => {
+          this.plugin.settings.userId = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    const { accessToken, username } = this.plugin.settings;
+    new Setting(containerEl)
+      .setName('Authentication')
+      .setDesc(accessToken
+        ? `✅ Authenticated${username ? ` as ${username}` : ''}`
+        : 'Not authenticated (public data only)')
+      .addButton(button => button
+        .setButtonText('Authenticate')
+        .setDisabled(!this.plugin.settings.clientId)
+        .onClick(() => this.plugin.auth.authenticate()));
+
+    this.displayTokenEntry(containerEl);
+  }
+
+  /**
+   * "Paste existing token": for networks where the PIN flow can't finish or
+   * a token from another tool. Nothing is saved until Simkl accepts it.
+   */
+  displayTokenEntry(containerEl) {
+    let token = '';
+    let account = null;
+
+    const setting = new Setting(containerEl)
+      .setName('Paste existing token')
+      .setDesc('Use an access token you already have instead of the PIN flow')
+      .addText(text => {
+        text.inputEl.type = 'password';
+        text
+          .setPlaceholder('Access token')
+          .onChange(value => {
+            token = value.trim();
+            account = null;
+            saveButton.setDisabled(true);
+            resultEl.empty();
+          });
+      })
+      .addButton(button => button
+        .setButtonText('Check')
+        .setDisabled(!this.plugin.settings.clientId)
+        .onClick(async () => {
+          if (!token) return;
+          const checked = token;
+          button.setDisabled(true);
+          resultEl.setText('Checking token with Simkl...');
+
+          try {
+            const result = await this.plugin.auth.validateToken(checked);
+            if (checked !== token) return; // edited while checking
+            account = result;
+            this.renderTokenFeatures(resultEl, account);
+            saveButton.setDisabled(false);
+          } catch (error) {
+            resultEl.setText(`❌ ${error.status === 401 ? 'Simkl rejected this token.' : error.message}`);
+          } finally {
+            button.setDisabled(false);
+          }
+        }));
+
+    let saveButton;
+    setting.addButton(button => {
+      saveButton = button;
+      button
+        .setButtonText('Use token')
+        .setCta()
+        .setDisabled(true)
+        .onClick(async () => {
+          if (!account) return;
+          await this.plugin.auth.useToken(token, account);
+          new Notice(`✅ Signed in as ${account.username || account.userId}`);
+          this.display();
+        });
+    });
+
+    const resultEl = containerEl.createDiv({ cls: 'setting-item-description' });
+  }
+
+  renderTokenFeatures(container, account) {
+    container.empty();
+    container.createEl('p', {
+      text: `✅ Valid token for ${account.username || 'this account'} (user ID ${account.userId}). ` +
+        'Using it fills in your default user and adds, on top of public data:'
+    });
+
+    const list = container.createEl('ul');
+    [
+      'Your own lists, including private ones',
+      'Rating titles and moving them between lists',
+      'Marking episodes and movies as watched',
+      'Library sync, note import, frontmatter sync and the watch log'
+    ].forEach(text => list.createEl('li', { text }));
+
+    container.createEl('p', { text: 'Without a token: search, title details and public lists and stats.' });
+  }
+
+  displaySecuritySettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Security' });
+
+    const { settings, secrets } = this.plugin;
+
+    if (this.plugin.isLocked()) {
+      new Setting(containerEl)
+        .setName('Credentials locked')
+        .setDesc('Enter your passphrase to use your Simkl account in this session')
+        .addButton(button => button
+          .setButtonText('Unlock')
+          .setCta()
+          .onClick(() => this.plugin.promptUnlock()));
+      return;
+    }
+
+    new Setting(containerEl)
+      .setName('Encrypt credentials')
+      .setDesc('Store the client secret and tokens encrypted with a passphrase, asked for once per session. Useful when the vault syncs to a shared folder.')
+      .addToggle(toggle => toggle
+        .setValue(settings.encryptSecrets)
+        .onChange(async (value) => {
+          if (!value) {
+            settings.encryptSecrets = false;
+            secrets.lock();
+            await this.plugin.saveSettings();
+            this.display();
+            return;
+          }
+
+          new SimklPassphraseModal(this.app, {
+            title: 'Choose a passphrase',
+            description: 'The passphrase is never stored. If you forget it you will need to authenticate again.',
+            confirm: true,
+            submitText: 'Encrypt',
+            onSubmit: async (passphrase) => {
+              await secrets.setPassphrase(passphrase);
+              settings.encryptSecrets = true;
+              await this.plugin.saveSettings();
+              this.display();
+            },
+            onDismiss: () => this.display()
+          }).open();
+        }));
+  }
+
+  displayConnectionSettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Connection' });
+
+    new Setting(containerEl)
+      .setName('API base URL')
+      .setDesc('Change only to use a local Simkl mock server')
+      .addText(text => text
+        .setPlaceholder(SIMKL_API_BASE)
+        .setValue(this.plugin.settings.apiBaseUrl)
+        .onChange(async (value) => {
+          this.plugin.settings.apiBaseUrl = value.trim() || SIMKL_API_BASE;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Transport')
+      .setDesc('How requests are sent')
+      .addDropdown(dropdown => dropdown
+        .addOption('requestUrl', 'Obsidian requestUrl')
+        .addOption('fetch', 'Browser fetch')
+        .setValue(this.plugin.settings.transport)
+        .onChange(async (value) => {
+          this.plugin.settings.transport = value;
+          this.plugin.cache.clear();
+          await this.plugin.saveSettings();
+        }));
+  }
+
+  displayDisplaySettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Display' });
+
+    new Setting(containerEl)
+      .setName('Default layout')
+      .addDropdown(dropdown => {
+        Object.values(SIMKL_LAYOUTS).forEach(layout => dropdown.addOption(layout, layout));
+        dropdown
+          .setValue(this.plugin.settings.defaultLayout)
+          .onChange(async (value) => {
+            this.plugin.settings.defaultLayout = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    [
+      ['showCoverImages', 'Show cover images'],
+      ['showRatings', 'Show Simkl rating'],
+      ['showUserRatings', 'Show my rating'],
+      ['showProgress', 'Show progress'],
+      ['showGenres', 'Show genres'],
+      ['showYear', 'Show year'],
+      ['showStatus', 'Show status']
+    ].forEach(([key, name]) => {
+      new Setting(containerEl)
+        .setName(name)
+        .addToggle(toggle => toggle
+          .setValue(this.plugin.settings[key])
+          .onChange(async (value) => {
+            this.plugin.settings[key] = value;
+            await this.plugin.saveSettings();
+          }));
+    });
+  }
+
+  displaySyncSettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Frontmatter sync' });
+
+    new Setting(containerEl)
+      .setName('Sync note properties')
+      .setDesc('Push simkl_status, simkl_rating and simkl_progress edits to Simkl and pull remote changes back')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.frontmatterSync)
+        .onChange(async (value) => {
+          this.plugin.settings.frontmatterSync = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Conflict handling')
+      .setDesc('What to do when a field changed on both sides since the last sync')
+      .addDropdown(dropdown => dropdown
+        .addOption('ask', 'Ask')
+        .addOption('remote', 'Simkl wins')
+        .addOption('local', 'Obsidian wins')
+        .setValue(this.plugin.settings.frontmatterConflictPolicy)
+        .onChange(async (value) => {
+          this.plugin.settings.frontmatterConflictPolicy = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Background sync interval')
+      .setDesc('How often property sync and the watch log check Simkl for changes')
+      .addDropdown(dropdown => dropdown
+        .addOption('300000', 'Every 5 minutes')
+        .addOption('900000', 'Every 15 minutes')
+        .addOption('1800000', 'Every 30 minutes')
+        .addOption('3600000', 'Every hour')
+        .setValue(String(this.plugin.settings.backgroundSyncInterval))
+        .onChange(async (value) => {
+          this.plugin.settings.backgroundSyncInterval = Number(value);
+          await this.plugin.saveSettings();
+        }));
+  }
+
+  displayWatchLogSettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Watch log' });
+
+    new Setting(containerEl)
+      .setName('Log watched titles in the daily note')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.watchLogEnabled)
+        .onChange(async (value) => {
+          this.plugin.settings.watchLogEnabled = value;
+          await this.plugin.saveSettings();
+        }));
+
+    [
+      ['watchLogHeading', 'Heading', 'Section heading the log goes under'],
+      ['watchLogFormat', 'Line format', 'Template for each line: {{time}}, {{link}}, {{title}}, {{episode}}, {{media_type}}'],
+      ['watchLogDailyNotePath', 'Daily note path', 'Moment format without .md, e.g. [Daily]/YYYY-MM-DD']
+    ].forEach(([key, name, desc]) => {
+      new Setting(containerEl)
+        .setName(name)
+        .setDesc(desc)
+        .addText(text => text
+          .setValue(this.plugin.settings[key])
+          .onChange(async (value) => {
+            this.plugin.settings[key] = value;
+            await this.plugin.saveSettings();
+          }));
+    });
+  }
+
+  displayNoteSettings(containerEl) {
+    containerEl.createEl('h3', { text: 'Notes' });
+
+    new Setting(containerEl)
+      .setName('Notes folder')
+      .setDesc('Folder for notes created from titles')
+      .addText(text => text
+        .setPlaceholder('Simkl')
+        .setValue(this.plugin.settings.notesFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.notesFolder = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Note template')
+      .setDesc('Vault path of a template for the body of new notes. Leave empty for a simkl block.')
+      .addText(text => text
+        .setPlaceholder('Templates/Simkl title.md')
+        .setValue(this.plugin.settings.noteTemplate)
+        .onChange(async (value) => {
+          this.plugin.settings.noteTemplate = value.trim();
+          await this.plugin.saveSettings();
+        }));
+  }
+}
+
+
+// Simkl Library Import Modal
+import { Modal, Notice } from 'obsidian';
+
+export class SimklImportModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.controller = new AbortController();
+    this.running = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass('simkl-import-modal');
+
+    contentEl.createEl('h2', { text: 'Import Simkl library' });
+
+    this.progressEl = contentEl.createEl('progress', { attr: { max: '1', value: '0' } });
+    this.statusEl = contentEl.createDiv({ cls: 'simkl-import-status', text: 'Loading library...' });
+    this.countsEl = contentEl.createDiv({ cls: 'simkl-import-counts' });
+    this.reportEl = contentEl.createDiv({ cls: 'simkl-import-report' });
+
+    const buttonContainer = contentEl.createDiv({ cls: 'simkl-button-container' });
+    this.cancelButton = buttonContainer.createEl('button', { text: 'Cancel', cls: 'mod-warning' });
+    this.cancelButton.addEventListener('click', () => {
+      if (this.running) {
+        this.controller.abort();
+        this.cancelButton.disabled = true;
+        this.statusEl.setText('Cancelling after the current title...');
+      } else {
+        this.close();
+      }
+    });
+
+    this.runImport();
+  }
+
+  async runImport() {
+    this.running = true;
+
+    try {
+      const report = await this.plugin.notes.importLibrary({
+        signal: this.controller.signal,
+        onProgress: ({ done, total, title, report }) => {
+          this.progressEl.max = total;
+          this.progressEl.value = done;
+          this.statusEl.setText(`${done + 1}/${total}: ${title}`);
+          this.updateCounts(report);
+        }
+      });
+
+      this.progressEl.value = this.progressEl.max;
+      this.statusEl.setText(report.cancelled ? '⚠️ Import cancelled' : `✅ Import finished (${report.total} titles)`);
+      this.updateCounts(report);
+      this.renderReport(report);
+    } catch (error) {
+      console.error('Library import failed:', error);
+      this.statusEl.setText(`❌ Import failed: ${error.message}`);
+      new Notice(`❌ Library import failed: ${error.message}`);
+    } finally {
+      this.running = false;
+      this.cancelButton.disabled = false;
+      this.cancelButton.setText('Close');
+      this.cancelButton.removeClass('mod-warning');
+    }
+  }
+
+  updateCounts(report) {
+    this.countsEl.setText(`Created: ${report.created.length} · Updated: ${report.updated.length} · Skipped: ${report.skipped.length}`);
+  }
+
+  renderReport(report) {
+    this.reportEl.empty();
+
+    [
+      ['Created', report.created.map(entry => entry.title)],
+      ['Updated', report.updated.map(entry => entry.title)],
+      ['Skipped', report.skipped.map(entry => `${entry.title} (${entry.reason})`)]
+    ].forEach(([label, lines]) => {
+      if (lines.length === 0) return;
+      const details = this.reportEl.createEl('details');
+      details.createEl('summary', { text: `${label} (${lines.length})` });
+      const list = details.createEl('ul');
+      lines.forEach(line => list.createEl('li', { text: line }));
+    });
+  }
+
+  onClose() {
+    // Closing the modal stops the import too
+    this.controller.abort();
+    this.contentEl.empty();
+  }
+}
+
+
+// Simkl Template Engine
+import { normalizePath, TFile } from 'obsidian';
+import { SIMKL_MEDIA_TYPES } from './constants';
+
+const TAG_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Small mustache-like language:
+ *   {{title}} / {{ids.imdb}}         value lookup, arrays joined with ", "
+ *   {{#if user_rating}}..{{else}}..{{/if}}
+ *   {{#each seasons}}{{number}}: {{episode_count}}{{/each}}
+ * Inside #each the item's fields shadow the outer context; {{this}} and {{@index}} are available.
+ */
+export class SimklTemplateEngine {
+  constructor(plugin) {
+    this.plugin = plugin;
+  }
+
+  render(template, context) {
+    return this.renderNodes(this.parse(template), [context]);
+  }
+
+  parse(template) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(template))) {
+      const current = stack[stack.length - 1];
+      const target = this.getTarget(current);
+
+      if (match.index > lastIndex) {
+        target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      const tag = match[1];
+
+      if (tag.startsWith('#if ') || tag.startsWith('#each ')) {
+        const [keyword, ...rest] = tag.slice(1).split(/\s+/);
+        const node = keyword === 'if'
+          ? { type: 'if', path: rest.join(' '), consequent: [], alternate: [], branch: 'consequent' }
+          : { type: 'each', path: rest.join(' '), children: [] };
+        target.push(node);
+        stack.push(node);
+      } else if (tag === 'else') {
+        if (current.type !== 'if') {
+          throw new Error('Template error: {{else}} outside of {{#if}}');
+        }
+        current.branch = 'alternate';
+      } else if (tag === '/if' || tag === '/each') {
+        if (current.type !== tag.slice(1)) {
+          throw new Error(`Template error: unexpected {{${tag}}}`);
+        }
+        stack.pop();
+      } else {
+        target.push({ type: 'var', path: tag });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Template error: unclosed {{#${stack[stack.length - 1].type}}}`);
+    }
+
+    if (lastIndex < template.length) {
+      root.children.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return root.children;
+  }
+
+  getTarget(node) {
+    return node.type === 'if' ? node[node.branch] : node.children;
+  }
+
+  renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'var':
+          return this.formatValue(this.lookup(node.path, scopes));
+        case 'if': {
+          const value = this.lookup(node.path, scopes);
+          const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+          return this.renderNodes(truthy ? node.consequent : node.alternate, scopes);
+        }
+        case 'each': {
+          const list = this.lookup(node.path, scopes);
+          if (!Array.isArray(list)) return '';
+          return list.map((entry, index) =>
+            this.renderNodes(node.children, [...scopes, { this: entry, '@index': index }, entry])
+          ).join('');
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Resolve a dotted path against the innermost scope that has its first segment
+   */
+  lookup(path, scopes) {
+    const [head, ...rest] = path.split('.');
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (scope && typeof scope === 'object' && head in scope) {
+        return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+      }
+    }
+
+    return undefined;
+  }
+
+  formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(entry => this.formatValue(entry)).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Read a template file from the vault; `.md` may be omitted
+   */
+  async loadTemplate(path) {
+    const normalized = normalizePath(path);
+    const file = this.plugin.app.vault.getAbstractFileByPath(normalized)
+      || this.plugin.app.vault.getAbstractFileByPath(`${normalized}.md`);
+
+    if (!(file instanceof TFile)) {
+      throw new Error(`Template not found: ${path}`);
+    }
+
+    return this.plugin.app.vault.cachedRead(file);
+  }
+
+  /**
+   * Template fields for a normalized item; seasons are only fetched when the template uses them
+   */
+  async createContext(item, template, details = null) {
+    const { processor, api } = this.plugin;
+    const source = details || {};
+
+    const context = {
+      title: source.title || item.title,
+      year: source.year || item.year,
+      genres: source.genres || item.genres || [],
+      poster: processor.getPosterUrl(source.poster || item.poster) || '',
+      rating: item.rating,
+      user_rating: item.userRating,
+      status: item.status,
+      next_episode: item.nextEpisode ? processor.formatEpisodeCode(item.nextEpisode) : '',
+      watched_episodes: item.watchedEpisodes,
+      total_episodes: item.totalEpisodes,
+      runtime: source.runtime,
+      overview: source.overview,
+      media_type: item.mediaType,
+      simkl_id: item.ids.simkl,
+      ids: item.ids,
+      url: api.getSimklUrl(item.mediaType, item.ids.simkl),
+      seasons: []
+    };
+
+    if (/\bseasons\b/.test(template) && item.mediaType !== SIMKL_MEDIA_TYPES.MOVIE && item.ids.simkl) {
+      context.seasons = await this.getSeasons(item);
+    }
+
+    return context;
+  }
+
+  async getSeasons(item) {
+    const episodes = await this.plugin.api.getEpisodes(item.mediaType, item.ids.simkl);
+    const seasons = new Map();
+
+    (episodes || []).forEach(episode => {
+      if (!episode.season || episode.type === 'special') return;
+      if (!seasons.has(episode.season)) {
+        seasons.set(episode.season, { number: episode.season, episodes: [] });
+      }
+      seasons.get(episode.season).episodes.push({
+        number: episode.episode,
+        title: episode.title,
+        aired: episode.date
+      });
+    });
+
+    return Array.from(seasons.values())
+      .sort((a, b) => a.number - b.number)
+      .map(season => ({ ...season, episode_count: season.episodes.length }));
+  }
+}
+
+
+// Simkl Frontmatter Sync
+import { Notice, TFile, debounce } from 'obsidian';
+import { SIMKL_LIST_TYPES, REQUEST_PRIORITIES } from './constants';
+import { SimklConflictModal } from './modals';
+
+const STATE_FILE = 'frontmatter-sync.json';
+
+// Frontmatter field -> value in a library entry
+const SYNCED_FIELDS = {
+  simkl_status: entry => entry?.status,
+  simkl_rating: entry => entry?.user_rating,
+  simkl_progress: entry => entry?.watched_episodes_count
+};
+
+export const CONFLICT_POLICIES = {
+  ASK: 'ask',
+  REMOTE: 'remote',
+  LOCAL: 'local'
+};
+
+/**
+ * Three-way sync between title note frontmatter and the Simkl library.
+ * The state file keeps the values both sides agreed on at the last sync;
+ * a side "changed" when it differs from that base.
+ */
+export class SimklFrontmatterSync {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.state = null;
+    this.inFlight = new Set();
+    // Notes changed since the last flush, by path; bulk edits touch many at once
+    this.pendingFiles = new Map();
+    this.flushPending = debounce(() => this.reconcilePending(), 2000, true);
+  }
+
+  get statePath() {
+    // The agreed values belong to one account
+    return this.plugin.profiles.dataPath(STATE_FILE);
+  }
+
+  /**
+   * Delete the sync state of a removed profile
+   */
+  async deleteProfileData(profileId) {
+    const path = this.plugin.profiles.dataPath(STATE_FILE, profileId);
+    const { adapter } = this.plugin.app.vault;
+    if (await adapter.exists(path)) {
+      await adapter.remove(path);
+    }
+  }
+
+  /**
+   * Forget the loaded state and queued notes, e.g. after switching profiles
+   */
+  reset() {
+    this.flushPending.cancel();
+    this.pendingFiles.clear();
+    this.state = null;
+  }
+
+  onMetadataChanged(file) {
+    this.pendingFiles.set(file.path, file);
+    this.flushPending();
+  }
+
+  async reconcilePending() {
+    const files = Array.from(this.pendingFiles.values());
+    this.pendingFiles.clear();
+
+    for (const file of files) {
+      await this.reconcileFile(file);
+    }
+  }
+
+  async loadState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    const { adapter } = this.plugin.app.vault;
+
+    try {
+      this.state = (await adapter.exists(this.statePath))
+        ? JSON.parse(await adapter.read(this.statePath))
+        : {};
+    } catch (error) {
+      console.error('Failed to load frontmatter sync state:', error);
+      this.state = {};
+    }
+
+    return this.state;
+  }
+
+  async saveState() {
+    await this.plugin.app.vault.adapter.write(this.statePath, JSON.stringify(this.state));
+  }
+
+  /**
+   * Record values written by the plugin itself as the agreed base
+   */
+  async recordBase(simklId, frontmatter) {
+    const state = await this.loadState();
+    const base = {};
+
+    Object.keys(SYNCED_FIELDS).forEach(field => {
+      base[field] = this.normalize(frontmatter[field]);
+    });
+
+    state[String(simklId)] = base;
+    await this.saveState();
+  }
+
+  /**
+   * Reconcile every title note in the vault
+   */
+  async syncAll() {
+    if (!this.plugin.settings.accessToken) {
+      return;
+    }
+
+    const files = this.plugin.app.vault.getMarkdownFiles()
+      .filter(file => this.getFrontmatter(file)?.simkl_id);
+
+    for (const file of files) {
+      await this.reconcileFile(file);
+    }
+  }
+
+  async reconcileFile(file) {
+    const frontmatter = this.getFrontmatter(file);
+    if (!frontmatter?.simkl_id || !this.plugin.settings.accessToken || this.inFlight.has(file.path)) {
+      return;
+    }
+
+    this.inFlight.add(file.path);
+
+    try {
+      const id = String(frontmatter.simkl_id);
+      const state = await this.loadState();
+      const base = state[id] || {};
+      const entry = this.findEntry(await this.plugin.sync.getLibrary(), id);
+      const item = { title: frontmatter.title || file.basename, mediaType: frontmatter.simkl_type || 'tv', ids: { simkl: frontmatter.simkl_id } };
+      const pull = {};
+
+      for (const [field, readRemote] of Object.entries(SYNCED_FIELDS)) {
+        const local = this.normalize(frontmatter[field]);
+        const remote = this.normalize(readRemote(entry));
+        const baseValue = field in base ? base[field] : null;
+
+        if (local === remote) {
+          base[field] = local;
+          continue;
+        }
+
+        // A cleared field is never pushed; it just takes the remote value again
+        const localChanged = local !== null && local !== baseValue;
+        const remoteChanged = remote !== baseValue;
+
+        let winner = localChanged ? 'local' : 'remote';
+        if (localChanged && remoteChanged) {
+          winner = await this.resolveConflict(item, field, local, remote);
+          if (!winner) continue; // undecided; ask again next time
+        }
+
+        if (winner === 'remote') {
+          pull[field] = remote;
+          base[field] = remote;
+        } else if (await this.push(item, field, local, entry)) {
+          base[field] = local;
+        }
+      }
+
+      state[id] = base;
+      await this.saveState();
+
+      if (Object.keys(pull).length > 0) {
+        await this.plugin.app.fileManager.processFrontMatter(file, (existing) => {
+          Object.entries(pull).forEach(([field, value]) => {
+            if (value === null) {
+              delete existing[field];
+            } else {
+              existing[field] = value;
+            }
+          });
+        });
+      }
+    } catch (error) {
+      console.error(`Frontmatter sync failed for ${file.path}:`, error);
+    } finally {
+      this.inFlight.delete(file.path);
+    }
+  }
+
+  async resolveConflict(item, field, local, remote) {
+    switch (this.plugin.settings.frontmatterConflictPolicy) {
+      case CONFLICT_POLICIES.LOCAL:
+        return 'local';
+      case CONFLICT_POLICIES.REMOTE:
+        return 'remote';
+      default:
+        return new SimklConflictModal(this.plugin.app, item.title, field, local, remote).prompt();
+    }
+  }
+
+  /**
+   * Send one changed field to Simkl; returns false when the value can't be pushed
+   */
+  async push(item, field, value, entry) {
+    const { api } = this.plugin;
+
+    try {
+      switch (field) {
+        case 'simkl_status':
+          if (!Object.values(SIMKL_LIST_TYPES).includes(value)) {
+            new Notice(`❌ ${item.title}: "${value}" is not a Simkl status`);
+            return false;
+          }
+          await api.addToList(item.mediaType, item.ids, value);
+          break;
+        case 'simkl_rating':
+          await api.rateItem(item.mediaType, item.ids, value);
+          break;
+        case 'simkl_progress':
+          await this.pushProgress(item, value, entry?.watched_episodes_count || 0);
+          break;
+      }
+    } catch (error) {
+      new Notice(`❌ ${item.title}: failed to sync ${field}: ${error.message}`);
+      return false;
+    }
+
+    this.plugin.sync.invalidate();
+    return true;
+  }
+
+  /**
+   * Mark the episodes between the remote and local progress as watched.
+   * Progress can only move forward.
+   */
+  async pushProgress(item, progress, remoteProgress) {
+    if (progress < remoteProgress) {
+      throw new Error('progress can only be increased from Obsidian');
+    }
+
+    const api = this.plugin.api.withOptions({ priority: REQUEST_PRIORITIES.BACKGROUND });
+    const episodes = (await api.getEpisodes(item.mediaType, item.ids.simkl) || [])
+      .filter(episode => episode.season && episode.type !== 'special')
+      .sort((a, b) => a.season - b.season || a.episode - b.episode)
+      .slice(remoteProgress, progress);
+
+    const seasons = new Map();
+    episodes.forEach(episode => {
+      if (!seasons.has(episode.season)) {
+        seasons.set(episode.season, { number: episode.season, episodes: [] });
+      }
+      seasons.get(episode.season).episodes.push({ number: episode.episode });
+    });
+
+    const show = { ids: item.ids, seasons: Array.from(seasons.values()) };
+    await this.plugin.api.addToHistory(this.plugin.api.buildSyncPayload(item.mediaType, show));
+  }
+
+  findEntry(library, id) {
+    for (const group of Object.values(library)) {
+      const entry = group.find(candidate => this.plugin.sync.getEntryId(candidate) === id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  getFrontmatter(file) {
+    return file instanceof TFile ? this.plugin.app.metadataCache.getFileCache(file)?.frontmatter : null;
+  }
+
+  normalize(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    return /^\d+$/.test(String(value)) ? parseInt(value, 10) : String(value).trim();
+  }
+}
+
+
+// Simkl Conflict Modal
+import { Modal } from 'obsidian';
+
+export class SimklConflictModal extends Modal {
+  constructor(app, title, field, localValue, remoteValue) {
+    super(app);
+    this.title = title;
+    this.field = field;
+    this.localValue = localValue;
+    this.remoteValue = remoteValue;
+    this.choice = null;
+  }
+
+  /**
+   * Open the modal and resolve with 'local', 'remote' or null when dismissed
+   */
+  prompt() {
+    return new Promise(resolve => {
+      this.resolve = resolve;
+      this.open();
+    });
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl('h2', { text: `Sync conflict: ${this.title}` });
+    contentEl.createEl('p', {
+      text: `${this.field} changed in Obsidian and on Simkl since the last sync.`
+    });
+
+    const list = contentEl.createEl('ul');
+    list.createEl('li', { text: `Obsidian: ${this.localValue ?? '(empty)'}` });
+    list.createEl('li', { text: `Simkl: ${this.remoteValue ?? '(empty)'}` });
+
+    const buttonContainer = contentEl.createDiv({ cls: 'simkl-button-container' });
+
+    const localButton = buttonContainer.createEl('button', { text: 'Keep Obsidian value', cls: 'mod-cta' });
+    localButton.addEventListener('click', () => {
+      this.choice = 'local';
+      this.close();
+    });
+
+    const remoteButton = buttonContainer.createEl('button', { text: 'Use Simkl value' });
+    remoteButton.addEventListener('click', () => {
+      this.choice = 'remote';
+      this.close();
+    });
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.resolve?.(this.choice);
+  }
+}
+
+
+// Simkl Confirm Modal
+import { Modal } from 'obsidian';
+
+/**
+ * Yes/no question before a destructive action
+ */
+export class SimklConfirmModal extends Modal {
+  constructor(app, { title, message, confirmText, warning = false }) {
+    super(app);
+    this.title = title;
+    this.message = message;
+    this.confirmText = confirmText;
+    this.warning = warning;
+    this.confirmed = false;
+  }
+
+  /**
+   * Open the modal and resolve with true once confirmed, false otherwise
+   */
+  prompt() {
+    return new Promise(resolve => {
+      this.resolve = resolve;
+      this.open();
+    });
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl('h2', { text: this.title });
+    contentEl.createEl('p', { text: this.message });
+
+    const buttonContainer = contentEl.createDiv({ cls: 'simkl-button-container' });
+
+    const confirmButton = buttonContainer.createEl('button', {
+      text: this.confirmText,
+      cls: this.warning ? 'mod-warning' : 'mod-cta'
+    });
+    confirmButton.addEventListener('click', () => {
+      this.confirmed = true;
+      this.close();
+    });
+
+    const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
+    cancelButton.addEventListener('click', () => this.close());
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.resolve?.(this.confirmed);
+  }
+}
+
+
+// Simkl Watch Log
+import { moment, normalizePath, TFile } from 'obsidian';
+
+/**
+ * Keeps a "Watched today" section in the daily note, fed by plugin
+ * mark-watched actions and by entries a library sync reports as newly watched.
+ */
+export class SimklWatchLog {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Log a title watched through the plugin
+   */
+  recordWatched(item, target = {}) {
+    let episode = '';
+    if (target.episode !== undefined) {
+      episode = this.plugin.processor.formatEpisodeCode(target);
+    } else if (target.season !== undefined) {
+      episode = `Season ${target.season}`;
+    }
+
+    return this.append({ item, episode, watchedAt: new Date() });
+  }
+
+  /**
+   * Log sync entries whose last watch falls on today
+   */
+  recordSynced(watched) {
+    const today = moment().format('YYYY-MM-DD');
+
+    watched
+      .filter(({ entry }) => entry.last_watched_at && moment(entry.last_watched_at).format('YYYY-MM-DD') === today)
+      .forEach(({ entry, mediaType }) => {
+        const item = this.plugin.processor.normalizeEntry(entry, mediaType);
+        this.append({ item, episode: entry.last_watched || '', watchedAt: new Date(entry.last_watched_at) });
+      });
+  }
+
+  /**
+   * Writes are chained so two records never race on the same file
+   */
+  append(record) {
+    if (!this.plugin.settings.watchLogEnabled) {
+      return Promise.resolve();
+    }
+
+    this.queue = this.queue
+      .then(() => this.writeRecord(record))
+      .catch(error => console.error('Failed to update watch log:', error));
+    return this.queue;
+  }
+
+  async writeRecord({ item, episode, watchedAt }) {
+    const { app, settings } = this.plugin;
+    const file = await this.getDailyNote(watchedAt);
+    const values = {
+      title: item.title,
+      link: this.buildLink(item, file.path),
+      episode,
+      media_type: item.mediaType,
+      simkl_id: item.ids.simkl
+    };
+
+    const line = this.plugin.templates.render(settings.watchLogFormat, {
+      time: moment(watchedAt).format('HH:mm'),
+      ...values
+    });
+    const logged = this.buildLinePattern(settings.watchLogFormat, values);
+
+    await app.vault.process(file, (content) => {
+      const lines = content.split('\n');
+      let headingIndex = lines.findIndex(candidate => candidate.trim() === settings.watchLogHeading.trim());
+
+      if (headingIndex === -1) {
+        if (lines.length > 0 && lines[lines.length - 1].trim() !== '') {
+          lines.push('');
+        }
+        lines.push(settings.watchLogHeading);
+        headingIndex = lines.length - 1;
+      }
+
+      const sectionEnd = this.findSectionEnd(lines, headingIndex);
+      const section = lines.slice(headingIndex + 1, sectionEnd);
+
+      // Same title and episode already logged today (e.g. by the plugin before a sync saw it)
+      if (section.some(existing => logged.test(existing.trim()))) {
+        return content;
+      }
+
+      let insertAt = sectionEnd;
+      while (insertAt > headingIndex + 1 && lines[insertAt - 1].trim() === '') {
+        insertAt--;
+      }
+      lines.splice(insertAt, 0, line);
+
+      return lines.join('\n');
+    });
+  }
+
+  /**
+   * Matches the whole line a record renders to, at any time of day
+   */
+  buildLinePattern(format, values) {
+    const marker = '\u0000';
+    const rendered = this.plugin.templates.render(format, { ...values, time: marker }).trim();
+    const source = rendered
+      .split(marker)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\d{1,2}:\\d{2}');
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Index of the first line after the section: the next heading of the same or higher level
+   */
+  findSectionEnd(lines, headingIndex) {
+    const level = (lines[headingIndex].match(/^#+/) || ['#'])[0].length;
+
+    for (let i = headingIndex + 1; i < lines.length; i++) {
+      const match = lines[i].match(/^(#+)\s/);
+      if (match && match[1].length <= level) {
+        return i;
+      }
+    }
+
+    return lines.length;
+  }
+
+  buildLink(item, sourcePath) {
+    const note = item.ids.simkl ? this.plugin.notes.findNote(item.ids.simkl) : null;
+    return note
+      ? this.plugin.app.fileManager.generateMarkdownLink(note, sourcePath, undefined, item.title)
+      : item.title;
+  }
+
+  async getDailyNote(date) {
+    const { vault } = this.plugin.app;
+    const path = normalizePath(`${moment(date).format(this.plugin.settings.watchLogDailyNotePath)}.md`);
+    const existing = vault.getAbstractFileByPath(path);
+
+    if (existing instanceof TFile) {
+      return existing;
+    }
+
+    const folder = path.split('/').slice(0, -1).join('/');
+    if (folder && !vault.getAbstractFileByPath(folder)) {
+      await vault.createFolder(folder);
+    }
+
+    return vault.create(path, '');
+  }
+}
+
+
+// Simkl Offline Monitor
+import { ERROR_MESSAGES, CSS_CLASSES, REQUEST_PRIORITIES } from './constants';
+
+/**
+ * Tracks whether Simkl is reachable. Network failures switch to offline mode;
+ * a background probe switches back and re-renders the blocks shown offline.
+ */
+export class SimklOfflineMonitor {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.offline = false;
+    this.retryTimer = null;
+    this.retryInterval = 30000;
+  }
+
+  isOfflineError(error) {
+    return [ERROR_MESSAGES.NETWORK_ERROR, ERROR_MESSAGES.TIMEOUT_ERROR].includes(error?.message);
+  }
+
+  goOffline() {
+    if (this.offline) {
+      return;
+    }
+
+    this.offline = true;
+    this.plugin.updateStatusBar('Offline');
+    this.scheduleRetry();
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) {
+      window.clearTimeout(this.retryTimer);
+    }
+
+    this.retryTimer = window.setTimeout(() => {
+      this.retryTimer = null;
+      this.checkConnection();
+    }, this.retryInterval);
+  }
+
+  /**
+   * Probe the API; back online means re-rendering every block drawn while offline
+   */
+  async checkConnection() {
+    if (!this.offline) {
+      return;
+    }
+
+    try {
+      await this.plugin.api
+        .withOptions({ priority: REQUEST_PRIORITIES.BACKGROUND })
+        .checkConnection();
+    } catch (error) {
+      this.scheduleRetry();
+      return;
+    }
+
+    this.offline = false;
+    this.plugin.updateStatusBar('Ready');
+    this.plugin.processor.refreshBlocks((config, container) => container.hasClass(CSS_CLASSES.OFFLINE));
+  }
+
+  stop() {
+    if (this.retryTimer) {
+      window.clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
+
+
+// Simkl HTTP Transport
+import { requestUrl } from 'obsidian';
+
+/**
+ * A transport sends one request and resolves with a fetch-like response
+ * ({ ok, status, headers.get(), json(), text() }). Status codes are the
+ * caller's business; transports only throw on network failures and timeouts.
+ */
+function createResponse(status, headers, body) {
+  const lookup = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    lookup[name.toLowerCase()] = String(value);
+  });
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => lookup[name.toLowerCase()] ?? null },
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+function createTimeoutError() {
+  const error = new Error('Request timed out');
+  error.name = 'TimeoutError';
+  return error;
+}
+
+/**
+ * Browser fetch; subject to CORS, which Simkl allows
+ */
+export class SimklFetchTransport {
+  request({ url, method = 'GET', headers = {}, body, timeout }) {
+    return fetch(url, {
+      method,
+      headers,
+      body,
+      signal: timeout ? AbortSignal.timeout(timeout) : undefined
+    });
+  }
+}
+
+/**
+ * Obsidian's requestUrl; bypasses CORS, e.g. for a local mock server
+ */
+export class SimklRequestUrlTransport {
+  async request({ url, method = 'GET', headers = {}, body, timeout }) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      if (timeout) {
+        timer = window.setTimeout(() => reject(createTimeoutError()), timeout);
+      }
+    });
+
+    try {
+      const response = await Promise.race([
+        requestUrl({ url, method, headers, body, throw: false }),
+        timedOut
+      ]);
+      return createResponse(response.status, response.headers, response.text);
+    } catch (error) {
+      if (error.name === 'TimeoutError') throw error;
+      const networkError = new Error(`Request failed: ${error.message}`);
+      networkError.name = 'NetworkError';
+      throw networkError;
+    } finally {
+      window.clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Transport for the `transport` setting. Tests inject their own through
+ * SimklApi.setTransport().
+ */
+export function createTransport(type) {
+  switch (type) {
+    case 'fetch':
+      return new SimklFetchTransport();
+    default:
+      return new SimklRequestUrlTransport();
+  }
+}
+
+
+// Simkl Authentication
+import { Modal, Notice, moment } from 'obsidian';
+import {
+  AUTH_STATES,
+  ERROR_MESSAGES,
+  REQUEST_PRIORITIES,
+  TOKEN_REFRESH_MARGIN,
+  TOKEN_WARNING_MARGIN
+} from './constants';
+
+// Allowed moves between session states. Finished states have no entry;
+// anything arriving late (a poll answer after Cancel) is ignored.
+const AUTH_TRANSITIONS = {
+  [AUTH_STATES.IDLE]: [AUTH_STATES.REQUESTING_PIN, AUTH_STATES.CANCELLED],
+  [AUTH_STATES.REQUESTING_PIN]: [AUTH_STATES.WAITING, AUTH_STATES.ERROR, AUTH_STATES.CANCELLED],
+  [AUTH_STATES.WAITING]: [AUTH_STATES.AUTHORIZED, AUTH_STATES.EXPIRED, AUTH_STATES.ERROR, AUTH_STATES.CANCELLED]
+};
+
+// Poll failures that mean "not yet" rather than "give up". Simkl answers
+// 400 until the PIN has been entered.
+const PENDING_POLL_STATUSES = [400, 404, 429];
+const RETRYABLE_POLL_ERRORS = [
+  ERROR_MESSAGES.NETWORK_ERROR,
+  ERROR_MESSAGES.TIMEOUT_ERROR,
+  ERROR_MESSAGES.RATE_LIMITED,
+  ERROR_MESSAGES.NOT_FOUND
+];
+
+function isRetryablePollError(error) {
+  return PENDING_POLL_STATUSES.includes(error.status) || RETRYABLE_POLL_ERRORS.includes(error.message);
+}
+
+const DEFAULT_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => window.setTimeout(callback, delay),
+  clearTimeout: (id) => window.clearTimeout(id)
+};
+
+/**
+ * One run of the PIN flow. The session owns its timers and AbortController,
+ * so cancel() stops everything; the modal follows along through on().
+ * Pass a fake `clock` to step through it in tests.
+ */
+export class SimklAuthSession {
+  constructor(api, { clock = DEFAULT_CLOCK } = {}) {
+    this.api = api;
+    this.clock = clock;
+    this.state = AUTH_STATES.IDLE;
+    this.pin = null; // { userCode, verificationUrl, expiresAt, interval }
+    this.token = null; // token response: access_token, optional refresh_token and expires_in
+    this.error = null;
+    this.controller = new AbortController();
+    this.pollTimer = null;
+    this.expiryTimer = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to state changes; listeners get the session
+   */
+  on(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  isFinished() {
+    return !AUTH_TRANSITIONS[this.state];
+  }
+
+  /**
+   * Resolves with the final state
+   */
+  finished() {
+    if (this.isFinished()) {
+      return Promise.resolve(this.state);
+    }
+
+    return new Promise(resolve => {
+      const unsubscribe = this.on(session => {
+        if (session.isFinished()) {
+          unsubscribe();
+          resolve(session.state);
+        }
+      });
+    });
+  }
+
+  transition(state, details = {}) {
+    if (!AUTH_TRANSITIONS[this.state]?.includes(state)) {
+      return false;
+    }
+
+    this.state = state;
+    Object.assign(this, details);
+
+    if (this.isFinished()) {
+      this.dispose();
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(this);
+      } catch (error) {
+        console.error('Auth session listener failed:', error);
+      }
+    });
+    return true;
+  }
+
+  async start() {
+    if (!this.transition(AUTH_STATES.REQUESTING_PIN)) {
+      return;
+    }
+
+    let data;
+    try {
+      data = await this.getApi().requestOAuthPin();
+    } catch (error) {
+      this.transition(AUTH_STATES.ERROR, { error });
+      return;
+    }
+
+    if (!data?.user_code) {
+      this.transition(AUTH_STATES.ERROR, { error: new Error('Simkl did not return a PIN') });
+      return;
+    }
+
+    const lifetime = (data.expires_in || 900) * 1000;
+    const pin = {
+      userCode: data.user_code,
+      verificationUrl: data.verification_url || 'https://simkl.com/pin',
+      expiresAt: this.clock.now() + lifetime,
+      interval: (data.interval || 5) * 1000
+    };
+
+    if (!this.transition(AUTH_STATES.WAITING, { pin })) {
+      return;
+    }
+
+    this.expiryTimer = this.clock.setTimeout(() => this.transition(AUTH_STATES.EXPIRED), lifetime);
+    this.schedulePoll();
+  }
+
+  schedulePoll() {
+    this.pollTimer = this.clock.setTimeout(() => this.poll(), this.pin.interval);
+  }
+
+  async poll() {
+    this.pollTimer = null;
+
+    let data;
+    try {
+      data = await this.getApi().pollOAuthToken(this.pin.userCode);
+    } catch (error) {
+      if (this.state !== AUTH_STATES.WAITING) {
+        return;
+      }
+      if (!isRetryablePollError(error)) {
+        this.transition(AUTH_STATES.ERROR, { error });
+        return;
+      }
+      this.schedulePoll();
+      return;
+    }
+
+    // Cancelled or expired while the request was out
+    if (this.state !== AUTH_STATES.WAITING) {
+      return;
+    }
+
+    if (data?.access_token) {
+      this.transition(AUTH_STATES.AUTHORIZED, { token: data });
+      return;
+    }
+
+    this.schedulePoll();
+  }
+
+  cancel() {
+    this.transition(AUTH_STATES.CANCELLED);
+  }
+
+  dispose() {
+    this.clock.clearTimeout(this.pollTimer);
+    this.clock.clearTimeout(this.expiryTimer);
+    this.pollTimer = null;
+    this.expiryTimer = null;
+    this.controller.abort();
+  }
+
+  getApi() {
+    return this.api.withOptions({ priority: REQUEST_PRIORITIES.INTERACTIVE, signal: this.controller.signal });
+  }
+}
+
+/**
+ * Account state, the sign-in flow and token upkeep for the plugin
+ */
+export class SimklAuth {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.settings = null;
+    this.session = null;
+    this.pendingRefresh = null;
+    this.pendingReauth = null;
+    this.reauthDeclined = false; // don't nag again after "Not now"
+    this.expiryWarned = false;
+  }
+
+  init(settings) {
+    this.settings = settings;
+  }
+
+  updateSettings(settings) {
+    this.settings = settings;
+  }
+
+  isAuthenticated() {
+    return !!this.settings?.accessToken;
+  }
+
+  /**
+   * Run the PIN flow; resolves true once a token is saved
+   */
+  async authenticate() {
+    if (!this.settings.clientId) {
+      new Notice(`❌ ${ERROR_MESSAGES.NO_CLIENT_ID}`);
+      return false;
+    }
+
+    // One flow at a time; starting over abandons the previous PIN
+    this.session?.cancel();
+    const session = new SimklAuthSession(this.plugin.api);
+    this.session = session;
+
+    new SimklAuthModal(this.plugin.app, session).open();
+    session.start();
+
+    const state = await session.finished();
+    if (this.session === session) {
+      this.session = null;
+    }
+
+    if (state !== AUTH_STATES.AUTHORIZED) {
+      return false;
+    }
+
+    await this.saveToken(session.token);
+    this.reauthDeclined = false;
+    this.plugin.cache.clear();
+    this.plugin.sync.invalidate();
+    new Notice('✅ Successfully authenticated with Simkl');
+    return true;
+  }
+
+  async saveToken(token) {
+    this.settings.accessToken = token.access_token;
+    this.settings.refreshToken = token.refresh_token || '';
+    this.settings.tokenExpiry = token.expires_in ? Date.now() + token.expires_in * 1000 : 0;
+    this.expiryWarned = false;
+    await this.plugin.saveSettings();
+  }
+
+  canRefresh() {
+    return !!(this.settings.refreshToken && this.settings.clientSecret);
+  }
+
+  /**
+   * Check a token obtained elsewhere without storing it. Resolves with the
+   * account it belongs to; throws when Simkl rejects it.
+   */
+  async validateToken(token) {
+    const api = this.plugin.api
+      .forSettings({ ...this.settings, accessToken: token })
+      .withOptions({ priority: REQUEST_PRIORITIES.INTERACTIVE });
+    const data = await api.getUserSettings();
+
+    const userId = data?.account?.id;
+    if (!userId) {
+      throw new Error('Simkl did not return an account for this token');
+    }
+
+    return { userId: String(userId), username: data.user?.name || '' };
+  }
+
+  /**
+   * Store a token checked by validateToken() for the active profile
+   */
+  async useToken(token, account) {
+    this.settings.userId = account.userId;
+    this.settings.username = account.username;
+    await this.saveToken({ access_token: token });
+    this.reauthDeclined = false;
+    this.plugin.cache.clear();
+    this.plugin.sync.invalidate();
+    this.plugin.processor.reparseBlocks();
+  }
+
+  /**
+   * Runs before every authenticated request: refresh a token that is about
+   * to expire, or warn once when it can't be refreshed
+   */
+  async ensureFreshToken() {
+    const { accessToken, tokenExpiry } = this.settings;
+    if (!accessToken || !tokenExpiry) {
+      return;
+    }
+
+    const remaining = tokenExpiry - Date.now();
+
+    if (remaining < TOKEN_REFRESH_MARGIN && this.canRefresh()) {
+      try {
+        await this.refresh();
+        return;
+      } catch (error) {
+        console.error('Simkl token refresh failed:', error);
+      }
+    }
+
+    if (remaining < TOKEN_WARNING_MARGIN) {
+      this.warnExpiry(remaining);
+    }
+  }
+
+  /**
+   * Refresh the access token; concurrent callers share one refresh
+   */
+  refresh() {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.plugin.api.refreshAccessToken(this.settings.refreshToken)
+        .then(token => this.saveToken(token))
+        .finally(() => {
+          this.pendingRefresh = null;
+        });
+    }
+    return this.pendingRefresh;
+  }
+
+  warnExpiry(remaining) {
+    if (this.expiryWarned) {
+      return;
+    }
+
+    this.expiryWarned = true;
+    const message = remaining > 0
+      ? `⚠️ Your Simkl session expires ${moment.duration(remaining).humanize(true)}. Authenticate again to keep syncing.`
+      : `⚠️ ${ERROR_MESSAGES.SESSION_EXPIRED}`;
+    new Notice(message, 10000);
+  }
+
+  /**
+   * A request came back 401. Try a refresh, then ask the user to sign in
+   * again; resolves true when the request can be replayed. Concurrent 401s
+   * share one prompt.
+   */
+  handleUnauthorized() {
+    if (!this.pendingReauth) {
+      this.pendingReauth = this.reauthenticate().finally(() => {
+        this.pendingReauth = null;
+      });
+    }
+    return this.pendingReauth;
+  }
+
+  async reauthenticate() {
+    if (this.canRefresh()) {
+      try {
+        await this.refresh();
+        return true;
+      } catch (error) {
+        console.error('Simkl token refresh failed:', error);
+      }
+    }
+
+    if (this.reauthDeclined) {
+      return false;
+    }
+
+    if (!(await new SimklReauthModal(this.plugin.app).prompt())) {
+      this.reauthDeclined = true;
+      return false;
+    }
+
+    return this.authenticate();
+  }
+
+  stop() {
+    this.session?.cancel();
+  }
+}
+
+/**
+ * Asks whether to sign in again after the session expired
+ */
+export class SimklReauthModal extends Modal {
+  constructor(app) {
+    super(app);
+    this.confirmed = false;
+  }
+
+  /**
+   * Open the modal and resolve with true when the user chose to sign in
+   */
+  prompt() {
+    return new Promise(resolve => {
+      this.resolve = resolve;
+      this.open();
+    });
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl('h2', { text: 'Simkl session expired' });
+    contentEl.createEl('p', {
+      text: 'Simkl no longer accepts the saved token. Sign in again and what you were doing will carry on.'
+    });
+
+    const buttonContainer = contentEl.createDiv({ cls: 'simkl-button-container' });
+
+    const signInButton = buttonContainer.createEl('button', { text: 'Sign in again', cls: 'mod-cta' });
+    signInButton.addEventListener('click', () => {
+      this.confirmed = true;
+      this.close();
+    });
+
+    const laterButton = buttonContainer.createEl('button', { text: 'Not now' });
+    laterButton.addEventListener('click', () => this.close());
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.resolve?.(this.confirmed);
+  }
+}
+
+/**
+ * Shows a session's PIN and progress. Closing the modal cancels the session.
+ */
+export class SimklAuthModal extends Modal {
+  constructor(app, session) {
+    super(app);
+    this.session = session;
+    this.unsubscribe = null;
+    this.countdownTimer = null;
+    this.countdownEl = null;
+  }
+
+  onOpen() {
+    this.contentEl.addClass('simkl-auth-modal');
+    this.unsubscribe = this.session.on(() => this.render());
+    this.countdownTimer = window.setInterval(() => this.renderCountdown(), 1000);
+    this.render();
+  }
+
+  render() {
+    const { contentEl, session } = this;
+    contentEl.empty();
+    this.countdownEl = null;
+
+    contentEl.createEl('h2', { text: 'Authenticate with Simkl' });
+
+    switch (session.state) {
+      case AUTH_STATES.IDLE:
+      case AUTH_STATES.REQUESTING_PIN:
+        contentEl.createEl('p', { text: 'Requesting a PIN from Simkl...' });
+        this.renderButtons([{ text: 'Cancel', onClick: () => this.close() }]);
+        break;
+      case AUTH_STATES.WAITING:
+        this.renderPin(session.pin);
+        break;
+      case AUTH_STATES.AUTHORIZED:
+      case AUTH_STATES.CANCELLED:
+        this.close();
+        break;
+      case AUTH_STATES.EXPIRED:
+        contentEl.createEl('p', { text: '⏰ The PIN expired before it was entered. Start again to get a new one.' });
+        this.renderButtons([{ text: 'Close', onClick: () => this.close() }]);
+        break;
+      case AUTH_STATES.ERROR:
+        contentEl.createEl('p', { text: `❌ ${session.error?.message || ERROR_MESSAGES.API_ERROR}` });
+        this.renderButtons([{ text: 'Close', onClick: () => this.close() }]);
+        break;
+    }
+  }
+
+  renderPin(pin) {
+    const { contentEl } = this;
+
+    const steps = contentEl.createEl('ol');
+    steps.createEl('li', { text: `Open ${pin.verificationUrl}` });
+    steps.createEl('li', { text: 'Enter the code below and authorize the app' });
+    steps.createEl('li', { text: 'This window closes by itself once you are done' });
+
+    contentEl.createDiv({ cls: 'simkl-auth-code', text: pin.userCode });
+    this.countdownEl = contentEl.createDiv({ cls: 'simkl-auth-status' });
+    this.renderCountdown();
+
+    this.renderButtons([
+      {
+        text: 'Copy code',
+        onClick: async () => {
+          await navigator.clipboard.writeText(pin.userCode);
+          new Notice('📋 Code copied');
+        }
+      },
+      { text: 'Open Simkl', cta: true, onClick: () => window.open(pin.verificationUrl) },
+      { text: 'Cancel', onClick: () => this.close() }
+    ]);
+  }
+
+  renderCountdown() {
+    const pin = this.session.pin;
+    if (!this.countdownEl || !pin) {
+      return;
+    }
+
+    const seconds = Math.max(0, Math.ceil((pin.expiresAt - Date.now()) / 1000));
+    const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    this.countdownEl.setText(`⏳ Waiting for authorization... code expires in ${clock}`);
+  }
+
+  renderButtons(buttons) {
+    const container = this.contentEl.createDiv({ cls: 'simkl-button-container' });
+    buttons.forEach(({ text, cta, onClick }) => {
+      const button = container.createEl('button', { text });
+      if (cta) button.addClass('mod-cta');
+      button.addEventListener('click', onClick);
+    });
+  }
+
+  onClose() {
+    this.unsubscribe?.();
+    window.clearInterval(this.countdownTimer);
+    this.session.cancel();
+    this.contentEl.empty();
+  }
+}
+
+
+// Simkl Secret Storage
+import { Modal, Setting } from 'obsidian';
+
+const PBKDF2_ITERATIONS = 250000;
+const ENCRYPTION_VERSION = 1;
+
+// Keys whose values are credentials wherever they appear
+const SENSITIVE_KEY = /token|secret|password|passphrase|authorization|api[-_]?key|client[-_]?id|device[-_]?code/i;
+const SENSITIVE_TEXT = [
+  /(Bearer\s+)[\w.~+/=-]+/gi,
+  /((?:token|secret|client_id|api_key|code)["']?\s*[:=]\s*["']?)[\w.~+/=-]+/gi,
+  /(\/oauth\/pin\/)[\w-]+/gi
+];
+
+/**
+ * Copy of a value with every credential masked, safe for logs and debug
+ * output. Objects are masked by key, strings by token-like patterns.
+ */
+export function redactSecrets(value, depth = 0) {
+  if (typeof value === 'string') {
+    return SENSITIVE_TEXT.reduce((text, pattern) => text.replace(pattern, '$1[redacted]'), value);
+  }
+
+  if (!value || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, depth + 1));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = SENSITIVE_KEY.test(key) && item ? '[redacted]' : redactSecrets(item, depth + 1);
+  });
+  return copy;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Passphrase-based encryption for the secret settings (PBKDF2 + AES-GCM).
+ * The derived key lives in memory only; data.json holds the salt, IV and
+ * ciphertext.
+ */
+export class SimklSecretStore {
+  constructor() {
+    this.key = null;
+    this.salt = null;
+  }
+
+  isUnlocked() {
+    return !!this.key;
+  }
+
+  /**
+   * Start encrypting with a new passphrase
+   */
+  async setPassphrase(passphrase) {
+    this.salt = crypto.getRandomValues(new Uint8Array(16));
+    this.key = await this.deriveKey(passphrase, this.salt);
+  }
+
+  /**
+   * Decrypt a stored blob; throws when the passphrase is wrong
+   */
+  async unlock(passphrase, blob) {
+    const salt = fromBase64(blob.salt);
+    const key = await this.deriveKey(passphrase, salt);
+
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(blob.iv) },
+        key,
+        fromBase64(blob.data)
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+
+    this.key = key;
+    this.salt = salt;
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  async encrypt(secrets) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.key,
+      new TextEncoder().encode(JSON.stringify(secrets))
+    );
+
+    return {
+      version: ENCRYPTION_VERSION,
+      salt: toBase64(this.salt),
+      iv: toBase64(iv),
+      data: toBase64(data)
+    };
+  }
+
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  lock() {
+    this.key = null;
+  }
+}
+
+/**
+ * Asks for a passphrase. `onSubmit` resolves with an error message to show,
+ * or nothing to close the modal; `onDismiss` runs when closed without one.
+ */
+export class SimklPassphraseModal extends Modal {
+  constructor(app, { title, description, confirm = false, submitText = 'Unlock', onSubmit, onDismiss }) {
+    super(app);
+    this.title = title;
+    this.description = description;
+    this.confirm = confirm;
+    this.submitText = submitText;
+    this.onSubmit = onSubmit;
+    this.onDismiss = onDismiss;
+    this.submitted = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl('h2', { text: this.title });
+    contentEl.createEl('p', { text: this.description, cls: 'setting-item-description' });
+
+    let passphrase = '';
+    let confirmation = '';
+
+    new Setting(contentEl)
+      .setName('Passphrase')
+      .addText(text => {
+        text.inputEl.type = 'password';
+        text.onChange(value => { passphrase = value; });
+        text.inputEl.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' && !this.confirm) submit();
+        });
+        window.setTimeout(() => text.inputEl.focus(), 0);
+      });
+
+    if (this.confirm) {
+      new Setting(contentEl)
+        .setName('Repeat passphrase')
+        .addText(text => {
+          text.inputEl.type = 'password';
+          text.onChange(value => { confirmation = value; });
+        });
+    }
+
+    const errorEl = contentEl.createDiv({ cls: 'simkl-error' });
+    errorEl.hide();
+
+    const buttonContainer = contentEl.createDiv({ cls: 'simkl-button-container' });
+    const submitButton = buttonContainer.createEl('button', { text: this.submitText, cls: 'mod-cta' });
+    const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
+
+    const submit = async () => {
+      let error = null;
+      if (!passphrase) {
+        error = 'Enter a passphrase.';
+      } else if (this.confirm && passphrase !== confirmation) {
+        error = 'The passphrases do not match.';
+      } else {
+        submitButton.disabled = true;
+        error = await this.onSubmit(passphrase);
+        submitButton.disabled = false;
+      }
+
+      if (error) {
+        errorEl.setText(error);
+        errorEl.show();
+        return;
+      }
+      this.submitted = true;
+      this.close();
+    };
+
+    submitButton.addEventListener('click', submit);
+    cancelButton.addEventListener('click', () => this.close());
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    if (!this.submitted) {
+      this.onDismiss?.();
+    }
+  }
+}
+
+
+// Simkl Account Profiles
+import { DEFAULT_PROFILE_ID, PROFILE_FIELDS, SECRET_FIELDS } from './constants';
+
+function pickProfileFields(source) {
+  const fields = {};
+  PROFILE_FIELDS.forEach(field => {
+    fields[field] = source[field] ?? '';
+  });
+  return fields;
+}
+
+/**
+ * Named accounts sharing one vault. The active profile's fields are mirrored
+ * onto the top level of the settings, so everything that reads
+ * `settings.accessToken` keeps working; other profiles are only read
+ * through getSettings().
+ */
+export class SimklProfiles {
+  constructor(plugin) {
+    this.plugin = plugin;
+  }
+
+  get settings() {
+    return this.plugin.settings;
+  }
+
+  /**
+   * Settings from before profiles become the default profile
+   */
+  migrate() {
+    const { settings } = this;
+
+    if (!settings.profiles || Object.keys(settings.profiles).length === 0) {
+      settings.profiles = {
+        [DEFAULT_PROFILE_ID]: { name: 'Default', ...pickProfileFields(settings) }
+      };
+      settings.activeProfile = DEFAULT_PROFILE_ID;
+    }
+
+    if (!settings.profiles[settings.activeProfile]) {
+      settings.activeProfile = Object.keys(settings.profiles)[0];
+    }
+
+    this.applyActive();
+  }
+
+  /**
+   * Path of a per-account data file in the plugin folder. The default
+   * profile keeps the plain name so existing files stay in use;
+   * others get `name-<profile>.ext`.
+   */
+  dataPath(fileName, profileId = this.settings.activeProfile) {
+    const file = profileId === DEFAULT_PROFILE_ID
+      ? fileName
+      : fileName.replace(/(\.[^.]+)?$/, `-${profileId}$1`);
+    return `${this.plugin.manifest.dir}/${file}`;
+  }
+
+  list() {
+    return Object.entries(this.settings.profiles).map(([id, profile]) => ({ id, ...profile }));
+  }
+
+  has(profileId) {
+    return !!this.settings.profiles[profileId];
+  }
+
+  isActive(profileId) {
+    return !profileId || profileId === this.settings.activeProfile;
+  }
+
+  /**
+   * Effective settings for a profile: shared options plus its own account
+   * fields. Null for unknown profiles.
+   */
+  getSettings(profileId) {
+    if (this.isActive(profileId)) {
+      return this.settings;
+    }
+
+    const profile = this.settings.profiles[profileId];
+    return profile ? { ...this.settings, ...pickProfileFields(profile) } : null;
+  }
+
+  /**
+   * Copy the live top-level account fields back into the active profile
+   */
+  storeActive() {
+    Object.assign(this.settings.profiles[this.settings.activeProfile], pickProfileFields(this.settings));
+  }
+
+  applyActive() {
+    Object.assign(this.settings, pickProfileFields(this.settings.profiles[this.settings.activeProfile]));
+  }
+
+  async switchTo(profileId) {
+    if (!this.has(profileId) || this.isActive(profileId)) {
+      return;
+    }
+
+    const { plugin } = this;
+    plugin.auth.stop();
+    await plugin.sync.reset();
+    plugin.frontmatterSync.reset();
+
+    this.storeActive();
+    this.settings.activeProfile = profileId;
+    this.applyActive();
+    await plugin.saveSettings();
+
+    plugin.processor.reparseBlocks();
+  }
+
+  /**
+   * Add a profile with its own credentials. The client ID is copied from
+   * the active profile since most households share one Simkl app.
+   */
+  async add(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    let id = base;
+    for (let suffix = 2; this.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+
+    this.settings.profiles[id] = {
+      ...pickProfileFields({}),
+      name,
+      clientId: this.settings.clientId,
+      tokenExpiry: 0
+    };
+    await this.plugin.saveSettings();
+    return id;
+  }
+
+  async remove(profileId) {
+    if (this.isActive(profileId) || !this.has(profileId)) {
+      return;
+    }
+
+    delete this.settings.profiles[profileId];
+    await this.plugin.saveSettings();
+
+    // Its library, frontmatter sync state and cached lists would
+    // otherwise stay on disk
+    await this.plugin.sync.deleteProfileData(profileId);
+    await this.plugin.frontmatterSync.deleteProfileData(profileId);
+    this.plugin.cache.deleteWhere(key => key.endsWith(`@${profileId}`));
+  }
+
+  /**
+   * Secret fields of every profile, keyed by profile ID
+   */
+  pickSecrets() {
+    this.storeActive();
+    const secrets = {};
+    Object.entries(this.settings.profiles).forEach(([id, profile]) => {
+      secrets[id] = {};
+      SECRET_FIELDS.forEach(field => {
+        secrets[id][field] = profile[field] || '';
+      });
+    });
+    return secrets;
+  }
+
+  /**
+   * Put decrypted secrets back. Blobs written before profiles existed hold
+   * one flat set of secrets, which belongs to the active profile.
+   */
+  mergeSecrets(secrets) {
+    const byProfile = SECRET_FIELDS.some(field => field in secrets)
+      ? { [this.settings.activeProfile]: secrets }
+      : secrets;
+
+    Object.entries(byProfile).forEach(([id, values]) => {
+      if (this.has(id)) {
+        Object.assign(this.settings.profiles[id], values);
+      }
+    });
+    this.applyActive();
+  }
+
+  /**
+   * Shape settings for data.json: account fields only inside `profiles`,
+   * secrets blanked when they are stored encrypted
+   */
+  toStorage(data, { stripSecrets }) {
+    this.storeActive();
+    PROFILE_FIELDS.forEach(field => {
+      delete data[field];
+    });
+
+    data.profiles = JSON.parse(JSON.stringify(this.settings.profiles));
+    if (stripSecrets) {
+      Object.values(data.profiles).forEach(profile => {
+        SECRET_FIELDS.forEach(field => {
+          profile[field] = '';
+        });
+      });
+    }
+    return data;
+  }
+}
+
+
+// Simkl Public API
+import { ERROR_MESSAGES, PUBLIC_API_VERSION, SIMKL_MEDIA_TYPES } from './constants';
+
+/**
+ * Stable entry point for other plugins and scripts (Templater, QuickAdd,
+ * DataviewJS):
+ *
+ *   const simkl = app.plugins.plugins['simkl-auth'].publicApi;
+ *   if (simkl?.version.startsWith('1.')) {
+ *     const results = await simkl.search('Dark', { type: 'tv' });
+ *   }
+ *
+ * Reads share the cache and pending requests with code blocks. Everything
+ * here keeps its signature within a major version; the plugin's other
+ * members (api, cache, auth, ...) are internal and may change in any release.
+ *
+ * `type` is one of 'tv', 'movie' or 'anime'. `profile` picks an account
+ * profile and defaults to the active one.
+ */
+export class SimklPublicApi {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.version = PUBLIC_API_VERSION;
+  }
+
+  /**
+   * Whether the active profile has an access token
+   */
+  isAuthenticated() {
+    return !!this.plugin.settings.accessToken;
+  }
+
+  /**
+   * Search titles by name. Resolves with Simkl's search results.
+   */
+  async search(query, { type = SIMKL_MEDIA_TYPES.TV, signal } = {}) {
+    if (!query) {
+      throw new Error('A search query is required');
+    }
+
+    return this.read({ type: 'search', mediaType: type, query: String(query) }, signal);
+  }
+
+  /**
+   * Full details of one title by Simkl ID or slug
+   */
+  async getItem(type, id, { signal } = {}) {
+    return this.read({ type: 'show', mediaType: type, showId: String(id) }, signal);
+  }
+
+  /**
+   * A user's list, e.g. getList('completed', { type: 'anime' }).
+   * `userId` defaults to the profile's own user.
+   */
+  async getList(listType, { type = SIMKL_MEDIA_TYPES.TV, userId, profile, signal } = {}) {
+    const settings = this.getProfileSettings(profile);
+    return this.read({
+      type: 'list',
+      mediaType: type,
+      listType,
+      userId: userId || settings.userId,
+      profile
+    }, signal);
+  }
+
+  /**
+   * Watch statistics of a user, defaulting to the profile's own user
+   */
+  async getStats({ userId, profile, signal } = {}) {
+    const settings = this.getProfileSettings(profile);
+    return this.read({ type: 'stats', userId: userId || settings.userId, profile }, signal);
+  }
+
+  /**
+   * The synced library of the active profile as `{ shows, anime, movies }`,
+   * each an array of getAllSyncItems entries. Syncs first when the stored
+   * copy is out of date.
+   */
+  async getLibrary() {
+    this.requireAuth();
+    return this.plugin.sync.getLibrary();
+  }
+
+  /**
+   * Mark a title, season or episode as watched for the active profile.
+   * `ids` is Simkl's ids object, e.g. `{ simkl: 12345 }` or `{ imdb: 'tt...' }`.
+   */
+  async markWatched(type, ids, { season, episode, watchedAt } = {}) {
+    this.requireAuth();
+
+    const result = await this.plugin.api.markAsWatched(type, ids, { season, episode, watchedAt });
+    this.plugin.processor.invalidateLists(type);
+    return result;
+  }
+
+  /**
+   * Called after each library sync with `{ updated, removed, watched }`:
+   * counts of changed and removed entries, and `{ entry, mediaType }` for
+   * titles with a newer last watch. Returns an unsubscribe function.
+   */
+  onLibraryChanged(callback) {
+    return this.plugin.sync.onChange(callback);
+  }
+
+  /**
+   * The synced library as typed rows for DataviewJS queries; see
+   * SimklLibraryIndex for the fields. Added in 1.1.
+   */
+  async index() {
+    this.requireAuth();
+    return this.plugin.libraryIndex.query();
+  }
+
+  /**
+   * Cached read through the block processor, so scripts and blocks asking
+   * for the same data share one request and one cache entry
+   */
+  async read(config, signal) {
+    this.getProfileSettings(config.profile);
+    return this.plugin.processor.fetchData(config, { signal });
+  }
+
+  getProfileSettings(profile) {
+    const settings = this.plugin.profiles.getSettings(profile);
+    if (!settings) {
+      throw new Error(`Invalid profile: ${profile}`);
+    }
+    return settings;
+  }
+
+  requireAuth() {
+    if (!this.isAuthenticated()) {
+      throw new Error(ERROR_MESSAGES.NO_ACCESS_TOKEN);
+    }
+  }
+}
+
+
+// Simkl Library Index
+import { LIBRARY_MEDIA_TYPES } from './constants';
+
+/**
+ * The synced library as flat, typed rows for DataviewJS, one per title,
+ * without needing a note per title:
+ *
+ *   const simkl = await app.plugins.plugins['simkl-auth'].publicApi.index();
+ *   dv.table(['Title', 'Rating'], simkl
+ *     .where(row => row.type === 'anime' && row.status === 'completed'
+ *       && row.lastWatched?.year === 2026 && row.rating >= 8)
+ *     .map(row => [row.title, row.rating]));
+ *
+ * With Dataview enabled the rows come as a DataArray and dates as Luxon
+ * DateTimes, like page fields; without it, a plain array and Dates.
+ */
+export class SimklLibraryIndex {
+  constructor(plugin) {
+    this.plugin = plugin;
+  }
+
+  async query() {
+    const library = await this.plugin.sync.getLibrary();
+    const dataview = this.getDataview();
+
+    const rows = [];
+    Object.entries(library).forEach(([group, entries]) => {
+      entries.forEach(entry => rows.push(this.toRow(entry, LIBRARY_MEDIA_TYPES[group], dataview)));
+    });
+
+    return dataview ? dataview.array(rows) : rows;
+  }
+
+  /**
+   * Row fields:
+   *   id, ids        Simkl ID (number) and all known IDs
+   *   title, type    'tv', 'anime' or 'movie'
+   *   status         watching, completed, plantowatch, hold or dropped
+   *   watched, total episode counts (total is null when unknown)
+   *   progress       watched share from 0 to 1; movies are 0 or 1
+   *   rating         the user's own rating from 1 to 10, or null
+   *   genres, year, runtime (minutes), lastWatched
+   */
+  toRow(entry, type, dataview) {
+    const media = entry.show || entry.movie || entry.anime || entry;
+    const watched = entry.watched_episodes_count || 0;
+    const total = entry.total_episodes_count || media.total_episodes || null;
+
+    let progress;
+    if (type === LIBRARY_MEDIA_TYPES.movies) {
+      progress = entry.status === 'completed' ? 1 : 0;
+    } else {
+      progress = total ? Math.min(watched / total, 1) : null;
+    }
+
+    return {
+      id: this.toNumber(media.ids?.simkl),
+      ids: media.ids || {},
+      title: media.title || 'Unknown title',
+      type,
+      status: entry.status || null,
+      watched,
+      total,
+      progress,
+      rating: this.toNumber(entry.user_rating),
+      genres: media.genres || [],
+      year: this.toNumber(media.year),
+      runtime: this.toNumber(media.runtime),
+      lastWatched: this.toDate(entry.last_watched_at, dataview)
+    };
+  }
+
+  toNumber(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+  }
+
+  toDate(value, dataview) {
+    if (!value) return null;
+    if (dataview) {
+      const date = dataview.luxon.DateTime.fromISO(value);
+      return date.isValid ? date : null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Dataview's plugin API, when it is installed and enabled
+   */
+  getDataview() {
+    const { plugins } = this.plugin.app;
+    return plugins.enabledPlugins?.has('dataview') ? plugins.plugins.dataview?.api || null : null;
   }
 }
 
@@ -1,25 +1,216 @@
 const { Plugin, Setting, Notice, PluginSettingTab, Modal } = require('obsidian');
 
+// redactSecrets and SimklSecretStore mirror the full plugin's secrets
+// module: main.js ships as a single file and can't import it.
+// test/secrets.test.mjs runs both copies through the same cases.
+const PBKDF2_ITERATIONS = 250000;
+const ENCRYPTION_VERSION = 1;
+
+// Settings kept only inside encryptedSecrets while encryption is on
+const SECRET_FIELDS = ['clientSecret', 'accessToken'];
+
+// Credentials must never reach the console or the debug panel
+const SENSITIVE_KEY = /token|secret|password|passphrase|authorization|api[-_]?key|client[-_]?id|device[-_]?code/i;
+const SENSITIVE_TEXT = [
+    /(Bearer\s+)[\w.~+/=-]+/gi,
+    /((?:token|secret|client_id|api_key|code)["']?\s*[:=]\s*["']?)[\w.~+/=-]+/gi,
+    /(\/oauth\/pin\/)[\w-]+/gi
+];
+
+// Copy of a value with every credential masked: objects by key, strings by
+// token-like patterns
+function redactSecrets(value, depth = 0) {
+    if (typeof value === 'string') {
+        return SENSITIVE_TEXT.reduce((text, pattern) => text.replace(pattern, '$1[redacted]'), value);
+    }
+
+    if (!value || typeof value !== 'object' || depth > 8) {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+        copy[key] = SENSITIVE_KEY.test(key) && item ? '[redacted]' : redactSecrets(item, depth + 1);
+    });
+    return copy;
+}
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Passphrase-based encryption for the secret settings (PBKDF2 + AES-GCM).
+// The derived key lives in memory only; data.json holds the salt, IV and
+// ciphertext.
+class SimklSecretStore {
+    constructor() {
+        this.key = null;
+        this.salt = null;
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    // Start encrypting with a new passphrase
+    async setPassphrase(passphrase) {
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(passphrase, this.salt);
+    }
+
+    // Decrypt a stored blob; throws when the passphrase is wrong
+    async unlock(passphrase, blob) {
+        const salt = fromBase64(blob.salt);
+        const key = await this.deriveKey(passphrase, salt);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(blob.iv) },
+                key,
+                fromBase64(blob.data)
+            );
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+
+        this.key = key;
+        this.salt = salt;
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    async encrypt(secrets) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(secrets))
+        );
+
+        return {
+            version: ENCRYPTION_VERSION,
+            salt: toBase64(this.salt),
+            iv: toBase64(iv),
+            data: toBase64(data)
+        };
+    }
+
+    async deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    lock() {
+        this.key = null;
+    }
+}
+
+// Describe a credential without revealing any of it
+function describeSecret(value) {
+    return value ? `set (${value.length} characters)` : 'not set';
+}
+
 class SimklAuthPlugin extends Plugin {
     async onload() {
         console.log('SIMKL Auth Plugin Loading...');
         
+        this.secrets = new SimklSecretStore();
         await this.loadSettings();
         this.addSettingTab(new SimklAuthSettingTab(this.app, this));
+
+        this.addCommand({
+            id: 'unlock-credentials',
+            name: 'Unlock SIMKL credentials',
+            checkCallback: (checking) => {
+                if (!this.isLocked()) return false;
+                if (!checking) this.promptUnlock();
+                return true;
+            }
+        });
+        this.app.workspace.onLayoutReady(() => this.promptUnlock());
         
         console.log('SIMKL Auth Plugin Loaded');
     }
 
+    onunload() {
+        this.stopPolling();
+    }
+
     async loadSettings() {
         this.settings = Object.assign({}, {
             clientId: '',
             clientSecret: '',
-            accessToken: ''
+            accessToken: '',
+            encryptSecrets: false,
+            encryptedSecrets: null // { version, salt, iv, data } when encryptSecrets is on
         }, await this.loadData());
     }
 
+    // With encryption on, secrets only reach data.json inside
+    // encryptedSecrets; while still locked the stored blob is kept as is
     async saveSettings() {
-        await this.saveData(this.settings);
+        const data = { ...this.settings };
+
+        if (!data.encryptSecrets) {
+            data.encryptedSecrets = null;
+            this.settings.encryptedSecrets = null;
+        } else {
+            if (this.secrets.isUnlocked()) {
+                const secrets = {};
+                SECRET_FIELDS.forEach(field => { secrets[field] = this.settings[field] || ''; });
+                data.encryptedSecrets = await this.secrets.encrypt(secrets);
+                this.settings.encryptedSecrets = data.encryptedSecrets;
+            }
+            SECRET_FIELDS.forEach(field => { data[field] = ''; });
+        }
+
+        await this.saveData(data);
+    }
+
+    isLocked() {
+        return !!(this.settings.encryptSecrets && this.settings.encryptedSecrets && !this.secrets.isUnlocked());
+    }
+
+    // Ask for the passphrase and load the decrypted secrets into memory
+    promptUnlock() {
+        if (!this.isLocked()) {
+            return;
+        }
+
+        new PassphraseModal(this.app, {
+            title: 'Unlock SIMKL credentials',
+            description: 'Your SIMKL credentials are encrypted. Enter the passphrase to use them in this session.',
+            onSubmit: async (passphrase) => {
+                try {
+                    const secrets = await this.secrets.unlock(passphrase, this.settings.encryptedSecrets);
+                    SECRET_FIELDS.forEach(field => { this.settings[field] = secrets[field] || ''; });
+                } catch (error) {
+                    return error.message;
+                }
+                new Notice('🔓 SIMKL credentials unlocked');
+            }
+        }).open();
     }
 
     async startPinAuthentication() {
@@ -29,7 +220,7 @@ class SimklAuthPlugin extends Plugin {
         }
 
         console.log('Starting PIN authentication...');
-        console.log('Using Client ID:', this.settings.clientId);
+        console.log('Using Client ID:', describeSecret(this.settings.clientId));
         
         try {
             // Step 1: Request device code
@@ -38,7 +229,7 @@ class SimklAuthPlugin extends Plugin {
             // The correct endpoint is /oauth/pin with URL parameters
             const pinUrl = `https://api.simkl.com/oauth/pin?client_id=${encodeURIComponent(this.settings.clientId)}&redirect_uri=${encodeURIComponent('urn:ietf:wg:oauth:2.0:oob')}`;
             
-            console.log('PIN request URL:', pinUrl);
+            console.log('PIN request URL:', redactSecrets(pinUrl));
             
             const deviceResponse = await fetch(pinUrl, {
                 method: 'GET',
@@ -48,14 +239,14 @@ class SimklAuthPlugin extends Plugin {
             });
 
             console.log('Device response status:', deviceResponse.status);
-            console.log('Device response headers:', Object.fromEntries(deviceResponse.headers.entries()));
+            console.log('Device response headers:', redactSecrets(Object.fromEntries(deviceResponse.headers.entries())));
 
             const responseText = await deviceResponse.text();
-            console.log('Raw response:', responseText);
+            console.log('Raw response:', redactSecrets(responseText));
 
             if (!deviceResponse.ok) {
-                console.error('Device code request failed:', deviceResponse.status, responseText);
-                throw new Error(`Device code request failed: HTTP ${deviceResponse.status} - ${responseText}`);
+                console.error('Device code request failed:', deviceResponse.status, redactSecrets(responseText));
+                throw new Error(`Device code request failed: HTTP ${deviceResponse.status} - ${redactSecrets(responseText)}`);
             }
 
             let deviceData;
@@ -63,21 +254,26 @@ class SimklAuthPlugin extends Plugin {
                 deviceData = JSON.parse(responseText);
             } catch (parseError) {
                 console.error('Failed to parse response JSON:', parseError);
-                throw new Error(`Invalid response format: ${responseText}`);
+                throw new Error(`Invalid response format: ${redactSecrets(responseText)}`);
             }
 
-            console.log('✓ Device code received:', deviceData);
+            console.log('✓ Device code received:', redactSecrets(deviceData));
 
             if (!deviceData.user_code) {
                 throw new Error('Invalid response: missing user_code');
             }
 
-            // Step 2: Show PIN to user and start polling
-            const modal = new PinDisplayModal(this.app, deviceData, this);
-            modal.open();
+            // Step 2: Show PIN to user and start polling. Starting again
+            // replaces any session still waiting.
+            this.stopPolling();
+            const session = new PinAuthSession(deviceData, this.settings.clientId);
+            this.session = session;
+            session.on(() => this.onSessionChange(session));
+
+            new PinDisplayModal(this.app, session).open();
 
             // Step 3: Start polling for tokens
-            this.startPolling(deviceData);
+            session.start();
 
         } catch (error) {
             console.error('PIN authentication failed:', error);
@@ -85,103 +281,29 @@ class SimklAuthPlugin extends Plugin {
         }
     }
 
-    async startPolling(deviceData) {
-        const { user_code, interval = 5, expires_in = 900 } = deviceData;
-        const maxAttempts = Math.floor(expires_in / interval);
-        let attempts = 0;
-
-        console.log(`Starting polling: interval=${interval}s, max_attempts=${maxAttempts}`);
-
-        const poll = async () => {
-            attempts++;
-            console.log(`Polling attempt ${attempts}/${maxAttempts}...`);
-
-            if (attempts > maxAttempts) {
-                console.log('❌ Polling timeout reached');
-                new Notice('❌ Authentication timeout. Please try again.', 8000);
-                return;
-            }
-
-            try {
-                // The correct polling endpoint with URL parameters
-                const pollUrl = `https://api.simkl.com/oauth/pin/${encodeURIComponent(user_code)}?client_id=${encodeURIComponent(this.settings.clientId)}`;
-
-                console.log('Polling URL:', pollUrl);
-
-                const response = await fetch(pollUrl, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
-
-                const responseText = await response.text();
-                console.log('Polling response:', response.status, responseText);
-
-                let data;
-                try {
-                    data = JSON.parse(responseText);
-                } catch (parseError) {
-                    console.error('Failed to parse polling response:', parseError);
-                    throw new Error(`Invalid polling response: ${responseText}`);
-                }
-
-                console.log('Parsed polling response:', data);
-
-                // Check for different response scenarios
-                if (data.access_token) {
-                    // Success! Store the token
-                    console.log('✅ Access token received!');
-                    this.settings.accessToken = data.access_token;
-                    await this.saveSettings();
-                    new Notice('✅ Successfully authenticated with SIMKL!', 5000);
-                    
-                    // Close any open modals
-                    document.querySelectorAll('.modal-container').forEach(modal => {
-                        if (modal.querySelector('.simkl-pin-modal')) {
-                            modal.remove();
-                        }
-                    });
-                    return;
-                }
-
-                // If 404 or result is null/empty, user hasn't entered code yet
-                if (response.status === 404 || !data || Object.keys(data).length === 0) {
-                    console.log('User has not entered code yet, continuing to poll...');
-                    setTimeout(poll, interval * 1000);
-                    return;
-                }
-
-                // If we get a different error
-                if (data.error) {
-                    if (data.error === 'authorization_pending') {
-                        console.log('Authorization pending, continuing to poll...');
-                        setTimeout(poll, interval * 1000);
-                    } else if (data.error === 'expired_token') {
-                        console.log('❌ Device code expired');
-                        new Notice('❌ Authentication code expired. Please try again.', 8000);
-                    } else {
-                        console.error('Polling error:', data.error);
-                        throw new Error(data.error);
-                    }
-                } else {
-                    // Continue polling if no error and no token yet
-                    setTimeout(poll, interval * 1000);
-                }
+    // Called once when a session ends
+    async onSessionChange(session) {
+        if (this.session === session) {
+            this.session = null;
+        }
 
-            } catch (error) {
-                console.error('Polling error:', error);
-                // Don't show error notice for 404s during polling
-                if (!error.message.includes('404')) {
-                    new Notice(`❌ Authentication error: ${error.message}`, 8000);
-                }
-                // Continue polling on error
-                setTimeout(poll, interval * 1000);
-            }
-        };
+        if (session.state === 'authorized') {
+            console.log('✅ Access token received!');
+            this.settings.accessToken = session.token;
+            await this.saveSettings();
+            new Notice('✅ Successfully authenticated with SIMKL!', 5000);
+        } else if (session.state === 'expired') {
+            console.log('❌ Device code expired');
+            new Notice('❌ Authentication code expired. Please try again.', 8000);
+        }
+    }
 
-        // Start first poll after the interval
-        setTimeout(poll, interval * 1000);
+    // Cancel the session started last, if it is still waiting
+    stopPolling() {
+        if (this.session) {
+            this.session.cancel();
+            this.session = null;
+        }
     }
 
     async testAccessToken() {
@@ -209,11 +331,11 @@ class SimklAuthPlugin extends Plugin {
             });
 
             const responseText = await response.text();
-            console.log('Test response:', response.status, responseText);
+            console.log('Test response:', response.status, redactSecrets(responseText));
 
             if (response.ok) {
                 const userData = JSON.parse(responseText);
-                console.log('✅ Token test successful:', userData);
+                console.log('✅ Token test successful:', redactSecrets(userData));
                 const username = userData.user?.name || 'Unknown User';
                 new Notice(`✅ Token valid! Connected as: ${username}`, 5000);
             } else if (response.status === 401) {
@@ -223,8 +345,8 @@ class SimklAuthPlugin extends Plugin {
                 this.settings.accessToken = '';
                 await this.saveSettings();
             } else {
-                console.error('Token test failed:', response.status, responseText);
-                throw new Error(`HTTP ${response.status}: ${responseText}`);
+                console.error('Token test failed:', response.status, redactSecrets(responseText));
+                throw new Error(`HTTP ${response.status}: ${redactSecrets(responseText)}`);
             }
 
         } catch (error) {
@@ -246,15 +368,137 @@ class SimklAuthPlugin extends Plugin {
     }
 }
 
+// One run of the PIN flow. The session owns its poll and expiry timers, so
+// cancel() stops everything; the plugin and the modal follow it through on().
+class PinAuthSession {
+    constructor(deviceData, clientId) {
+        this.clientId = clientId;
+        this.userCode = deviceData.user_code;
+        this.verificationUrl = deviceData.verification_url || 'https://simkl.com/pin';
+        this.interval = (deviceData.interval || 5) * 1000;
+        this.expiresIn = deviceData.expires_in || 900;
+        this.state = 'waiting'; // then authorized, expired or cancelled
+        this.token = null;
+        this.pollTimer = null;
+        this.expiryTimer = null;
+        this.listeners = new Set();
+    }
+
+    // Subscribe to the end of the session; returns an unsubscribe function
+    on(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    isActive() {
+        return this.state === 'waiting';
+    }
+
+    start() {
+        console.log(`Starting polling: interval=${this.interval / 1000}s, expires_in=${this.expiresIn}s`);
+        this.expiryTimer = setTimeout(() => this.finish('expired'), this.expiresIn * 1000);
+        this.schedulePoll();
+    }
+
+    cancel() {
+        this.finish('cancelled');
+    }
+
+    finish(state, details = {}) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        this.state = state;
+        Object.assign(this, details);
+        clearTimeout(this.pollTimer);
+        clearTimeout(this.expiryTimer);
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    schedulePoll() {
+        if (this.isActive()) {
+            this.pollTimer = setTimeout(() => this.poll(), this.interval);
+        }
+    }
+
+    async poll() {
+        try {
+            // The correct polling endpoint with URL parameters
+            const pollUrl = `https://api.simkl.com/oauth/pin/${encodeURIComponent(this.userCode)}?client_id=${encodeURIComponent(this.clientId)}`;
+
+            console.log('Polling URL:', redactSecrets(pollUrl));
+
+            const response = await fetch(pollUrl, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            const responseText = await response.text();
+            console.log('Polling response:', response.status, redactSecrets(responseText));
+
+            // Cancelled or expired while the request was in flight
+            if (!this.isActive()) {
+                return;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(responseText);
+            } catch (parseError) {
+                console.error('Failed to parse polling response:', parseError);
+                throw new Error(`Invalid polling response: ${redactSecrets(responseText)}`);
+            }
+
+            console.log('Parsed polling response:', redactSecrets(data));
+
+            if (data.access_token) {
+                this.finish('authorized', { token: data.access_token });
+                return;
+            }
+
+            if (data.error === 'expired_token') {
+                this.finish('expired');
+                return;
+            }
+
+            // 404, an empty result or authorization_pending: the user hasn't
+            // entered the code yet
+            if (data.error && data.error !== 'authorization_pending') {
+                throw new Error(data.error);
+            }
+
+            console.log('User has not entered code yet, continuing to poll...');
+        } catch (error) {
+            if (!this.isActive()) {
+                return;
+            }
+            console.error('Polling error:', error);
+            // Don't show error notice for 404s during polling
+            if (!error.message.includes('404')) {
+                new Notice(`❌ Authentication error: ${error.message}`, 8000);
+            }
+        }
+
+        // Continue polling until the session ends
+        this.schedulePoll();
+    }
+}
+
 class PinDisplayModal extends Modal {
-    constructor(app, deviceData, plugin) {
+    constructor(app, session) {
         super(app);
-        this.deviceData = deviceData;
-        this.plugin = plugin;
+        this.session = session;
     }
 
     onOpen() {
-        const { contentEl } = this;
+        const { contentEl, session } = this;
+
+        // The session ending in any way (token, expiry, a newer session)
+        // closes the modal
+        this.unsubscribe = session.on(() => this.close());
         contentEl.empty();
         contentEl.addClass('simkl-pin-modal');
 
@@ -276,14 +520,14 @@ class PinDisplayModal extends Modal {
             attr: { style: 'text-align: left; max-width: 400px; margin: 0 auto 20px auto;' }
         });
 
-        stepsList.createEl('li', { text: `Visit: ${this.deviceData.verification_url || 'https://simkl.com/pin'}` });
+        stepsList.createEl('li', { text: `Visit: ${session.verificationUrl}` });
         stepsList.createEl('li', { text: 'Enter the code shown below' });
         stepsList.createEl('li', { text: 'Authorize the application' });
         stepsList.createEl('li', { text: 'This dialog will close automatically when complete' });
 
         // Large PIN code display
         const codeEl = instructionsEl.createEl('div', {
-            text: this.deviceData.user_code,
+            text: session.userCode,
             attr: { 
                 style: 'font-size: 3em; font-weight: bold; color: var(--accent-color); margin: 30px 0; padding: 20px; border: 3px solid var(--accent-color); border-radius: 12px; font-family: monospace; letter-spacing: 5px;'
             }
@@ -317,12 +561,12 @@ class PinDisplayModal extends Modal {
 
         // Event handlers
         copyButton.onclick = () => {
-            navigator.clipboard.writeText(this.deviceData.user_code);
+            navigator.clipboard.writeText(session.userCode);
             new Notice('📋 Code copied to clipboard!');
         };
 
         openLinkButton.onclick = () => {
-            window.open(this.deviceData.verification_url || 'https://simkl.com/pin', '_blank');
+            window.open(session.verificationUrl, '_blank');
         };
 
         cancelButton.onclick = () => {
@@ -330,21 +574,12 @@ class PinDisplayModal extends Modal {
             new Notice('Authentication cancelled.');
         };
 
-        // Auto-close after expiration time
-        const expirationTime = (this.deviceData.expires_in || 900) * 1000;
-        setTimeout(() => {
-            if (this.containerEl.isConnected) {
-                this.close();
-                new Notice('❌ Authentication code expired.');
-            }
-        }, expirationTime);
-
         // Show expiration countdown
         const expirationEl = instructionsEl.createEl('div', {
             attr: { style: 'margin-top: 15px; font-size: 0.9em; color: var(--text-muted);' }
         });
 
-        let timeLeft = this.deviceData.expires_in || 900;
+        let timeLeft = session.expiresIn;
         const updateCountdown = () => {
             const minutes = Math.floor(timeLeft / 60);
             const seconds = timeLeft % 60;
@@ -352,11 +587,102 @@ class PinDisplayModal extends Modal {
             
             if (timeLeft > 0) {
                 timeLeft--;
-                setTimeout(updateCountdown, 1000);
+                this.countdownTimer = setTimeout(updateCountdown, 1000);
             }
         };
         updateCountdown();
     }
+
+    onClose() {
+        // Closing the modal (Cancel, Esc) cancels its own session only; a
+        // newer session started meanwhile keeps polling
+        this.unsubscribe();
+        this.session.cancel();
+        clearTimeout(this.countdownTimer);
+        this.contentEl.empty();
+    }
+}
+
+// Asks for a passphrase. onSubmit resolves with an error message to show, or
+// nothing to close the modal; onDismiss runs when closed without one.
+class PassphraseModal extends Modal {
+    constructor(app, { title, description, confirm = false, submitText = 'Unlock', onSubmit, onDismiss }) {
+        super(app);
+        this.title = title;
+        this.description = description;
+        this.confirm = confirm;
+        this.submitText = submitText;
+        this.onSubmit = onSubmit;
+        this.onDismiss = onDismiss;
+        this.submitted = false;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+
+        contentEl.createEl('h2', { text: this.title });
+        contentEl.createEl('p', { text: this.description, cls: 'setting-item-description' });
+
+        let passphrase = '';
+        let confirmation = '';
+
+        new Setting(contentEl)
+            .setName('Passphrase')
+            .addText(text => {
+                text.inputEl.type = 'password';
+                text.onChange(value => { passphrase = value; });
+                text.inputEl.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter' && !this.confirm) submit();
+                });
+                setTimeout(() => text.inputEl.focus(), 0);
+            });
+
+        if (this.confirm) {
+            new Setting(contentEl)
+                .setName('Repeat passphrase')
+                .addText(text => {
+                    text.inputEl.type = 'password';
+                    text.onChange(value => { confirmation = value; });
+                });
+        }
+
+        const errorEl = contentEl.createEl('div', { attr: { style: 'color: var(--text-error); margin: 10px 0;' } });
+
+        const buttonContainer = contentEl.createEl('div', { attr: { style: 'display: flex; gap: 10px; justify-content: flex-end;' } });
+        const submitButton = buttonContainer.createEl('button', { text: this.submitText, cls: 'mod-cta' });
+        const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
+
+        const submit = async () => {
+            let error = null;
+            if (!passphrase) {
+                error = 'Enter a passphrase.';
+            } else if (this.confirm && passphrase !== confirmation) {
+                error = 'The passphrases do not match.';
+            } else {
+                submitButton.disabled = true;
+                error = await this.onSubmit(passphrase);
+                submitButton.disabled = false;
+            }
+
+            if (error) {
+                errorEl.textContent = error;
+                return;
+            }
+            this.submitted = true;
+            this.close();
+        };
+
+        submitButton.onclick = submit;
+        cancelButton.onclick = () => this.close();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+        if (!this.submitted && this.onDismiss) {
+            this.onDismiss();
+        }
+    }
 }
 
 class SimklAuthSettingTab extends PluginSettingTab {
@@ -510,6 +836,8 @@ class SimklAuthSettingTab extends PluginSettingTab {
                     }));
         }
 
+        this.displaySecuritySettings(containerEl);
+
         // Debug Information
         if (this.plugin.settings.accessToken || this.plugin.settings.clientId) {
             const debugEl = containerEl.createEl('details', { 
@@ -525,19 +853,57 @@ class SimklAuthSettingTab extends PluginSettingTab {
                 attr: { style: 'margin-top: 10px; font-family: monospace; font-size: 0.9em;' }
             });
 
-            let debugInfo = '';
-            if (this.plugin.settings.clientId) {
-                debugInfo += `Client ID: ${this.plugin.settings.clientId.substring(0, 8)}...\n`;
-            }
-            if (this.plugin.settings.clientSecret) {
-                debugInfo += `Client Secret: ${this.plugin.settings.clientSecret.substring(0, 8)}...\n`;
-            }
-            if (this.plugin.settings.accessToken) {
-                debugInfo += `Access Token: ${this.plugin.settings.accessToken.substring(0, 12)}...\n`;
-            }
+            const { clientId, clientSecret, accessToken } = this.plugin.settings;
+            debugContent.textContent = [
+                `Client ID: ${describeSecret(clientId)}`,
+                `Client Secret: ${describeSecret(clientSecret)}`,
+                `Access Token: ${describeSecret(accessToken)}`
+            ].join('\n');
+        }
+    }
 
-            debugContent.textContent = debugInfo || 'No configuration data';
+    displaySecuritySettings(containerEl) {
+        const { settings, secrets } = this.plugin;
+
+        if (this.plugin.isLocked()) {
+            new Setting(containerEl)
+                .setName('🔒 Credentials locked')
+                .setDesc('Enter your passphrase to use your SIMKL credentials in this session')
+                .addButton(button => button
+                    .setButtonText('Unlock')
+                    .setCta()
+                    .onClick(() => this.plugin.promptUnlock()));
+            return;
         }
+
+        new Setting(containerEl)
+            .setName('🔒 Encrypt credentials')
+            .setDesc('Store the client secret and access token encrypted with a passphrase, asked for once per session')
+            .addToggle(toggle => toggle
+                .setValue(settings.encryptSecrets)
+                .onChange(async (value) => {
+                    if (!value) {
+                        settings.encryptSecrets = false;
+                        secrets.lock();
+                        await this.plugin.saveSettings();
+                        this.display();
+                        return;
+                    }
+
+                    new PassphraseModal(this.app, {
+                        title: 'Choose a passphrase',
+                        description: 'The passphrase is never stored. If you forget it you will need to authenticate again.',
+                        confirm: true,
+                        submitText: 'Encrypt',
+                        onSubmit: async (passphrase) => {
+                            await secrets.setPassphrase(passphrase);
+                            settings.encryptSecrets = true;
+                            await this.plugin.saveSettings();
+                            this.display();
+                        },
+                        onDismiss: () => this.display()
+                    }).open();
+                }));
     }
 }
 
@@ -0,0 +1,340 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+import { createFixtureApi, SimklFixtureTransport } from './helpers/fixture-transport.mjs';
+import { SIMKL_FIXTURES } from './fixtures/simkl.mjs';
+
+const modules = loadPlugin();
+
+/**
+ * Transport whose responses are released by hand, to hold requests open
+ */
+function createManualTransport() {
+  const transport = {
+    requests: [],
+    request(config) {
+      return new Promise(resolve => {
+        transport.requests.push({
+          ...config,
+          respond: (body, status = 200, headers = {}) =>
+            resolve(modules.createResponse(status, headers, JSON.stringify(body)))
+        });
+      });
+    }
+  };
+  return transport;
+}
+
+function createApi(transport, settings = {}) {
+  const api = new modules.SimklApi();
+  api.init({ ...modules.DEFAULT_SETTINGS, clientId: 'test-client', maxConcurrentRequests: 1, ...settings });
+  api.setTransport(transport);
+  api.scheduler.baseInterval = 0;
+  api.scheduler.minInterval = 0;
+  return api;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('SimklApi request sharing', () => {
+  test('identical reads share one request', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport);
+
+    const first = api.getUserStats('1001');
+    const second = api.getUserStats('1001');
+    await flush();
+
+    assert.equal(transport.requests.length, 1);
+    transport.requests[0].respond({ total_mins: 10 });
+    assert.deepEqual(await first, { total_mins: 10 });
+    assert.deepEqual(await second, { total_mins: 10 });
+  });
+
+  test('an aborting caller only cancels its own wait', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport);
+    const controller = new AbortController();
+
+    const aborted = api.withOptions({ signal: controller.signal }).getUserStats('1001');
+    const kept = api.withOptions({ signal: new AbortController().signal }).getUserStats('1001');
+    await flush();
+
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+
+    transport.requests[0].respond({ total_mins: 10 });
+    assert.deepEqual(await kept, { total_mins: 10 });
+  });
+
+  test('a queued request is cancelled once every caller has aborted', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport);
+
+    // Occupy the only slot so the shared request stays queued
+    const blocker = api.getUserStats('1');
+    await flush();
+
+    const a = new AbortController();
+    const b = new AbortController();
+    const first = api.withOptions({ signal: a.signal }).getUserStats('1001');
+    const second = api.withOptions({ signal: b.signal }).getUserStats('1001');
+    await flush();
+
+    a.abort();
+    b.abort();
+    await assert.rejects(first, { name: 'AbortError' });
+    await assert.rejects(second, { name: 'AbortError' });
+
+    transport.requests[0].respond({});
+    await blocker;
+    await flush();
+
+    assert.equal(transport.requests.length, 1);
+    assert.equal(api.inFlight.size, 0);
+  });
+
+  test('a caller without a signal keeps the request open', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport);
+
+    const blocker = api.getUserStats('1');
+    await flush();
+
+    const controller = new AbortController();
+    const aborted = api.withOptions({ signal: controller.signal }).getUserStats('1001');
+    const background = api.getUserStats('1001');
+    await flush();
+
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+
+    transport.requests[0].respond({});
+    await blocker;
+    await flush();
+
+    assert.equal(transport.requests.length, 2);
+    transport.requests[1].respond({ total_mins: 5 });
+    assert.deepEqual(await background, { total_mins: 5 });
+  });
+
+  test('only the caller that started a shared read sees onResponse', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport);
+    const seen = [];
+
+    const owner = api.withOptions({ onResponse: data => seen.push(['owner', data]) }).getUserStats('1001');
+    const joiner = api.withOptions({ onResponse: data => seen.push(['joiner', data]) }).getUserStats('1001');
+    await flush();
+
+    transport.requests[0].respond({ total_mins: 10 });
+    await Promise.all([owner, joiner]);
+    assert.deepEqual(seen, [['owner', { total_mins: 10 }]]);
+  });
+
+  test('writes are never shared', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport, { accessToken: 'token', maxConcurrentRequests: 2 });
+
+    const first = api.rateItem('movie', { simkl: 1 }, 8);
+    const second = api.rateItem('movie', { simkl: 1 }, 8);
+    await flush();
+
+    assert.equal(transport.requests.length, 2);
+    transport.requests.forEach(request => request.respond({}));
+    await Promise.all([first, second]);
+  });
+});
+
+describe('SimklApi priorities', () => {
+  const { INTERACTIVE, VISIBLE, PREFETCH } = modules.REQUEST_PRIORITIES;
+
+  test('interactive requests jump ahead of queued prefetches', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport, { accessToken: 'token' });
+
+    // Occupy the only slot so everything else queues
+    const blocker = api.getUserStats('1');
+    await flush();
+
+    const prefetch = api.withOptions({ priority: PREFETCH });
+    const prefetches = [prefetch.getUserStats('2'), prefetch.getUserStats('3')];
+    const rating = api.withOptions({ priority: INTERACTIVE }).rateItem('movie', { simkl: 1 }, 8);
+    await flush();
+
+    const order = [];
+    for (let index = 0; index < 4; index++) {
+      const request = transport.requests[index];
+      order.push(`${request.method || 'GET'} ${new URL(request.url).pathname}`);
+      request.respond({});
+      await flush();
+    }
+
+    assert.deepEqual(order, ['GET /users/1/stats', 'POST /sync/ratings', 'GET /users/2/stats', 'GET /users/3/stats']);
+    await Promise.all([blocker, rating, ...prefetches]);
+  });
+
+  test('a visible block joining a prefetch moves it ahead of other prefetches', async () => {
+    const transport = createManualTransport();
+    const api = createApi(transport);
+
+    const blocker = api.getUserStats('1');
+    await flush();
+
+    const prefetch = api.withOptions({ priority: PREFETCH });
+    const first = prefetch.getUserStats('2');
+    const second = prefetch.getUserStats('3');
+    const visible = api.withOptions({ priority: VISIBLE }).getUserStats('3');
+    await flush();
+
+    transport.requests[0].respond({});
+    await flush();
+    assert.match(transport.requests[1].url, /\/users\/3\/stats$/);
+
+    transport.requests[1].respond({ user: 3 });
+    await flush();
+    transport.requests[2].respond({ user: 2 });
+    assert.deepEqual(await visible, { user: 3 });
+    assert.deepEqual(await second, { user: 3 });
+    assert.deepEqual(await first, { user: 2 });
+    await blocker;
+  });
+});
+
+describe('SimklApi rate limiting', () => {
+  test('a 429 gives up its slot and is retried after the pause', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+    const transport = createManualTransport();
+    const api = createApi(transport);
+    const pauses = [];
+    api.onRateLimit(until => pauses.push(until));
+
+    const limited = api.getUserStats('1');
+    await flush();
+    transport.requests[0].respond({}, 429, { 'Retry-After': '2' });
+    await flush();
+
+    assert.deepEqual(pauses, [1_002_000]);
+    assert.equal(api.scheduler.active, 0);
+
+    // More urgent work queued during the pause goes first once it ends
+    const urgent = api.withOptions({ priority: modules.REQUEST_PRIORITIES.INTERACTIVE }).getUserStats('2');
+    await flush();
+    assert.equal(transport.requests.length, 1);
+
+    t.mock.timers.tick(2000);
+    await flush();
+    assert.match(transport.requests[1].url, /\/users\/2\/stats$/);
+    transport.requests[1].respond({ user: 2 });
+    assert.deepEqual(await urgent, { user: 2 });
+
+    t.mock.timers.tick(1000);
+    await flush();
+    assert.match(transport.requests[2].url, /\/users\/1\/stats$/);
+    transport.requests[2].respond({ user: 1 });
+    assert.deepEqual(await limited, { user: 1 });
+  });
+
+  test('gives up after maxRetries rate limited attempts', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+    const transport = createManualTransport();
+    const api = createApi(transport, { maxRetries: 2 });
+
+    const limited = api.getUserStats('1');
+    const failed = assert.rejects(limited, { status: 429 });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await flush();
+      transport.requests[attempt].respond({}, 429, { 'Retry-After': '1' });
+      await flush();
+      t.mock.timers.tick(2000);
+    }
+
+    await failed;
+    assert.equal(transport.requests.length, 2);
+  });
+});
+
+describe('SimklApi token upkeep', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const REFRESHED = 'FIXTURE_REFRESHED_TOKEN'; // what the /oauth/token fixture hands out
+
+  /**
+   * Fixture API with SimklAuth as its auth handler. Account reads answer
+   * 401 unless they carry one of the `accepted` tokens.
+   */
+  function createAuthedApi(settings, accepted = [REFRESHED]) {
+    const fixtures = SIMKL_FIXTURES.map(fixture =>
+      fixture.method === 'GET' && ['/users/settings', '/sync/activities'].includes(fixture.path)
+        ? { ...fixture, status: request => accepted.some(token => request.headers.Authorization === `Bearer ${token}`) ? 200 : 401 }
+        : fixture);
+
+    const plugin = createPluginStub(modules, {
+      clientSecret: 'test-secret',
+      accessToken: 'OLD',
+      refreshToken: 'refresh',
+      tokenExpiry: Date.now() + 30 * DAY,
+      ...settings
+    });
+    const { api, transport } = createFixtureApi(plugin.settings, new SimklFixtureTransport(fixtures));
+    api.settings = plugin.settings;
+    plugin.api = api;
+
+    const auth = new modules.SimklAuth(plugin);
+    auth.init(plugin.settings);
+    api.setAuthHandler(auth);
+
+    const sent = () => transport.requests.map(request => `${request.method} ${request.path} ${request.headers.Authorization || ''}`.trim());
+    return { api, plugin, sent };
+  }
+
+  test('refreshes a token about to expire before using it', async () => {
+    const { api, plugin, sent } = createAuthedApi({ tokenExpiry: Date.now() + 60 * 60 * 1000 });
+
+    await api.getUserSettings();
+
+    assert.deepEqual(sent(), ['POST /oauth/token', `GET /users/settings Bearer ${REFRESHED}`]);
+    assert.equal(plugin.settings.accessToken, REFRESHED);
+    assert.equal(plugin.settings.refreshToken, 'refresh-next');
+    assert.ok(plugin.settings.tokenExpiry > Date.now() + 80 * DAY);
+  });
+
+  test('replays a 401 exactly once after refreshing', async () => {
+    const { api, sent } = createAuthedApi();
+
+    const account = await api.getUserSettings();
+
+    assert.equal(account.account.id, 424242);
+    assert.deepEqual(sent(), [
+      'GET /users/settings Bearer OLD',
+      'POST /oauth/token',
+      `GET /users/settings Bearer ${REFRESHED}`
+    ]);
+  });
+
+  test('does not replay again when the refreshed token is rejected too', async () => {
+    const { api, sent } = createAuthedApi({}, []);
+
+    await assert.rejects(api.getUserSettings(), { status: 401 });
+    assert.deepEqual(sent(), [
+      'GET /users/settings Bearer OLD',
+      'POST /oauth/token',
+      `GET /users/settings Bearer ${REFRESHED}`
+    ]);
+  });
+
+  test('concurrent 401s share one refresh', async () => {
+    const { api, sent } = createAuthedApi();
+
+    await Promise.all([api.getUserSettings(), api.getLastActivities()]);
+
+    const requests = sent();
+    assert.equal(requests.filter(request => request === 'POST /oauth/token').length, 1);
+    assert.deepEqual(requests.filter(request => request.startsWith('GET')).sort(), [
+      `GET /sync/activities Bearer ${REFRESHED}`,
+      'GET /sync/activities Bearer OLD',
+      `GET /users/settings Bearer ${REFRESHED}`,
+      'GET /users/settings Bearer OLD'
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin } from './helpers/load-plugin.mjs';
+
+const { SimklAuthSession, AUTH_STATES, ERROR_MESSAGES } = loadPlugin();
+
+/**
+ * Clock whose timers only fire on tick()
+ */
+function createFakeClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  return {
+    now: () => now,
+    setTimeout(callback, delay) {
+      const id = nextId++;
+      timers.set(id, { callback, at: now + delay });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    pending: () => timers.size,
+    async tick(ms) {
+      const until = now + ms;
+      for (;;) {
+        const [id, timer] = [...timers.entries()]
+          .filter(([, entry]) => entry.at <= until)
+          .sort((a, b) => a[1].at - b[1].at)[0] || [];
+        if (!timer) break;
+        timers.delete(id);
+        now = timer.at;
+        timer.callback();
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      now = until;
+    }
+  };
+}
+
+/**
+ * API stand-in: poll answers are taken in order, the last one repeats
+ */
+function createFakeApi(pollAnswers) {
+  const api = {
+    polls: 0,
+    signal: null,
+    withOptions({ signal }) {
+      api.signal = signal;
+      return api;
+    },
+    async requestOAuthPin() {
+      return { user_code: 'ABCDE', verification_url: 'https://simkl.com/pin', expires_in: 60, interval: 5 };
+    },
+    async pollOAuthToken(code) {
+      assert.equal(code, 'ABCDE');
+      const answer = pollAnswers[Math.min(api.polls++, pollAnswers.length - 1)];
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  };
+  return api;
+}
+
+function httpError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function startSession(pollAnswers) {
+  const clock = createFakeClock();
+  const api = createFakeApi(pollAnswers);
+  const session = new SimklAuthSession(api, { clock });
+  const states = [];
+  session.on(current => states.push(current.state));
+  await session.start();
+  return { clock, api, session, states };
+}
+
+describe('SimklAuthSession', () => {
+  test('waits for the PIN, then authorizes', async () => {
+    const token = { access_token: 'TOKEN', refresh_token: 'REFRESH', expires_in: 3600 };
+    const { clock, api, session, states } = await startSession([
+      { result: 'KO', message: 'Authorization pending' },
+      token
+    ]);
+
+    assert.equal(session.state, AUTH_STATES.WAITING);
+    assert.equal(session.pin.userCode, 'ABCDE');
+
+    await clock.tick(5000);
+    assert.equal(api.polls, 1);
+    assert.equal(session.state, AUTH_STATES.WAITING);
+
+    await clock.tick(5000);
+    assert.equal(session.state, AUTH_STATES.AUTHORIZED);
+    assert.deepEqual(session.token, token);
+    assert.deepEqual(states, [AUTH_STATES.REQUESTING_PIN, AUTH_STATES.WAITING, AUTH_STATES.AUTHORIZED]);
+    assert.equal(clock.pending(), 0);
+    assert.equal(await session.finished(), AUTH_STATES.AUTHORIZED);
+  });
+
+  test('keeps polling while Simkl answers 400 for a PIN not yet entered', async () => {
+    const { clock, session } = await startSession([
+      httpError(400, 'Authorization pending'),
+      httpError(400, 'Authorization pending'),
+      { access_token: 'TOKEN' }
+    ]);
+
+    await clock.tick(10000);
+    assert.equal(session.state, AUTH_STATES.WAITING);
+
+    await clock.tick(5000);
+    assert.equal(session.state, AUTH_STATES.AUTHORIZED);
+  });
+
+  test('retries after network errors and timeouts', async () => {
+    const { clock, api, session } = await startSession([
+      new Error(ERROR_MESSAGES.NETWORK_ERROR),
+      new Error(ERROR_MESSAGES.TIMEOUT_ERROR),
+      httpError(429),
+      { access_token: 'TOKEN' }
+    ]);
+
+    await clock.tick(15000);
+    assert.equal(api.polls, 3);
+    assert.equal(session.state, AUTH_STATES.WAITING);
+
+    await clock.tick(5000);
+    assert.equal(session.state, AUTH_STATES.AUTHORIZED);
+  });
+
+  test('stops on errors that retrying cannot fix', async () => {
+    const { clock, session } = await startSession([httpError(412, 'Invalid Client ID. Please check your API key.')]);
+
+    await clock.tick(5000);
+    assert.equal(session.state, AUTH_STATES.ERROR);
+    assert.equal(session.error.status, 412);
+    assert.equal(clock.pending(), 0);
+  });
+
+  test('expires when the PIN runs out', async () => {
+    const { clock, api, session } = await startSession([{ result: 'KO' }]);
+
+    await clock.tick(60000);
+    assert.equal(session.state, AUTH_STATES.EXPIRED);
+    assert.equal(clock.pending(), 0);
+
+    const polls = api.polls;
+    await clock.tick(60000);
+    assert.equal(api.polls, polls);
+  });
+
+  test('cancel stops polling and aborts requests', async () => {
+    const { clock, api, session } = await startSession([{ result: 'KO' }]);
+
+    await clock.tick(5000);
+    session.cancel();
+
+    assert.equal(session.state, AUTH_STATES.CANCELLED);
+    assert.equal(api.signal.aborted, true);
+    assert.equal(clock.pending(), 0);
+
+    await clock.tick(60000);
+    assert.equal(api.polls, 1);
+  });
+
+  test('ignores a poll answer that arrives after cancel', async () => {
+    const clock = createFakeClock();
+    let answer;
+    const api = createFakeApi([]);
+    api.pollOAuthToken = () => new Promise(resolve => { answer = resolve; });
+    const session = new SimklAuthSession(api, { clock });
+    await session.start();
+
+    await clock.tick(5000);
+    session.cancel();
+    answer({ access_token: 'LATE' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(session.state, AUTH_STATES.CANCELLED);
+    assert.equal(session.token, null);
+  });
+});
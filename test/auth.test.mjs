@@ -0,0 +1,52 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+import { createFixtureApi } from './helpers/fixture-transport.mjs';
+
+const modules = loadPlugin();
+
+function createAuth(settings = {}) {
+  const plugin = createPluginStub(modules, settings);
+  const { api, transport } = createFixtureApi(plugin.settings);
+  plugin.api = api;
+  plugin.cache = { clear() {} };
+  plugin.sync = { invalidate() {} };
+  plugin.processor = { reparseBlocks() {} };
+
+  const auth = new modules.SimklAuth(plugin);
+  auth.init(plugin.settings);
+  return { plugin, auth, transport };
+}
+
+describe('SimklAuth pasted tokens', () => {
+  test('checks the pasted token, not the stored one', async () => {
+    const { auth, transport } = createAuth({ clientId: 'active-client', accessToken: 'ACTIVE' });
+
+    const account = await auth.validateToken('PASTED');
+
+    assert.deepEqual(account, { userId: '424242', username: 'Fixture User' });
+    const [request] = transport.requests;
+    assert.equal(request.path, '/users/settings');
+    assert.equal(request.headers.Authorization, 'Bearer PASTED');
+    assert.equal(request.headers['simkl-api-key'], 'active-client');
+  });
+
+  test('works without any stored token', async () => {
+    const { auth, transport } = createAuth({ accessToken: '' });
+
+    await auth.validateToken('PASTED');
+    assert.equal(transport.requests[0].headers.Authorization, 'Bearer PASTED');
+  });
+
+  test('stores nothing until the token is used', async () => {
+    const { plugin, auth } = createAuth({ accessToken: '', userId: '' });
+
+    const account = await auth.validateToken('PASTED');
+    assert.equal(plugin.settings.accessToken, '');
+
+    await auth.useToken('PASTED', account);
+    assert.equal(plugin.settings.accessToken, 'PASTED');
+    assert.equal(plugin.settings.userId, '424242');
+    assert.equal(plugin.settings.username, 'Fixture User');
+  });
+});
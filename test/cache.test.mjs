@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin } from './helpers/load-plugin.mjs';
+
+const { SimklCache, CACHE_KEYS } = loadPlugin();
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('SimklCache policies', () => {
+  test('account data is fresh for the cacheTimeout setting', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const cache = new SimklCache();
+    cache.setTimeout(10 * MINUTE);
+
+    const list = CACHE_KEYS.USER_LIST('1001', 'anime', 'watching', 'default');
+    const stats = CACHE_KEYS.USER_STATS('1001', 'default');
+    cache.set(list, []);
+    cache.set(stats, {});
+
+    assert.equal(cache.getEntry(list).expiry, 10 * MINUTE);
+    assert.equal(cache.getEntry(stats).expiry, 10 * MINUTE);
+    assert.equal(cache.getEntry(list).staleUntil, 10 * MINUTE + DAY);
+  });
+
+  test('public data keeps its own fresh window', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const cache = new SimklCache();
+    cache.setTimeout(10 * MINUTE);
+
+    const key = CACHE_KEYS.ITEM('tv', 1001);
+    cache.set(key, {});
+
+    assert.equal(cache.getEntry(key).expiry, DAY);
+    assert.equal(cache.getEntry(key).staleUntil, 8 * DAY);
+  });
+});
+
+describe('SimklCache LRU', () => {
+  // Every entry holds the same data, so each weighs the same
+  function createFullCache(keys) {
+    const cache = new SimklCache();
+    keys.forEach(key => cache.set(key, 'x'));
+    const size = cache.getEntry(keys[0]).size;
+    cache.setMaxSize(size * keys.length);
+    return { cache, size };
+  }
+
+  test('evicts the least recently used entries first', () => {
+    const { cache } = createFullCache(['search:a', 'search:b', 'search:c']);
+
+    cache.get('search:a');
+    cache.set('search:d', 'x');
+    assert.deepEqual([...cache.cache.keys()], ['search:c', 'search:a', 'search:d']);
+
+    cache.set('search:e', 'x');
+    assert.deepEqual([...cache.cache.keys()], ['search:a', 'search:d', 'search:e']);
+    assert.equal(cache.getStats().evictions, 2);
+  });
+
+  test('has() does not count as a use', () => {
+    const { cache } = createFullCache(['search:a', 'search:b']);
+
+    assert.equal(cache.has('search:a'), true);
+    cache.set('search:c', 'x');
+
+    assert.deepEqual([...cache.cache.keys()], ['search:b', 'search:c']);
+  });
+
+  test('keeps the newest entry even when it alone exceeds the budget', () => {
+    const { cache, size } = createFullCache(['search:a']);
+
+    cache.set('search:b', 'x'.repeat(size));
+    assert.deepEqual([...cache.cache.keys()], ['search:b']);
+  });
+});
+
+describe('SimklCache stats', () => {
+  test('counts hits and misses of get() only', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const cache = new SimklCache();
+    cache.set('search:a', []);
+
+    cache.get('search:a');
+    cache.get('search:missing');
+    cache.has('search:a');
+    cache.has('search:missing');
+
+    t.mock.timers.tick(2 * 3600000);
+    cache.get('search:a'); // past fresh: a miss unless stale reads are allowed
+    cache.get('search:a', { allowStale: true });
+
+    const stats = cache.getStats();
+    assert.equal(stats.hits, 2);
+    assert.equal(stats.misses, 2);
+    assert.equal(stats.hitRate, 0.5);
+    assert.equal(stats.expiredItems, 1);
+  });
+
+  test('cleanup keeps entries inside their stale window', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const cache = new SimklCache();
+    cache.set('search:a', []);
+    cache.set('item:tv:1', {});
+
+    t.mock.timers.tick(2 * 3600000); // both past fresh, both still stale
+    assert.equal(cache.cleanup(), 0);
+
+    t.mock.timers.tick(DAY); // search's stale day is over, item's week isn't
+    assert.equal(cache.cleanup(), 1);
+    assert.deepEqual([...cache.cache.keys()], ['item:tv:1']);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Recorded Simkl responses. `path` matches the URL path, `:name` segments
+ * match anything; `body` and `status` may be functions of the request for
+ * replies that change between calls.
+ */
+// Sync writes report how many of the posted movies and shows they touched
+function countSynced(request) {
+  return {
+    movies: request.body?.movies?.length || 0,
+    shows: request.body?.shows?.length || 0
+  };
+}
+
+export const SIMKL_FIXTURES = [
+  {
+    method: 'GET',
+    path: '/search/:type',
+    body: [
+      {
+        title: 'Breaking Bad',
+        year: 2008,
+        type: 'tv',
+        poster: '14/14813a7d0d05c5fd1',
+        ids: { simkl_id: 17465, slug: 'breaking-bad' }
+      }
+    ]
+  },
+  {
+    method: 'GET',
+    path: '/:type/episodes/:id',
+    body: [
+      { title: 'Pilot', season: 1, episode: 1, type: 'episode', aired: true, ids: { simkl_id: 374871 } },
+      { title: "Cat's in the Bag...", season: 1, episode: 2, type: 'episode', aired: true, ids: { simkl_id: 374872 } }
+    ]
+  },
+  {
+    method: 'GET',
+    path: '/users/:id/stats',
+    body: {
+      total_mins: 38514,
+      tv: { total_mins: 30120, watching: { count: 4 }, completed: { count: 21 }, plantowatch: { count: 12 } },
+      anime: { total_mins: 5280, watching: { count: 1 }, completed: { count: 7 } },
+      movies: { total_mins: 3114, completed: { count: 25 }, plantowatch: { count: 9 } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/users/:id/list/:type/:list',
+    body: [
+      {
+        show: { title: 'Severance', year: 2022, poster: '11/11568281d1e3b2d45', ids: { simkl: 1451289, slug: 'severance' } },
+        status: 'watching',
+        user_rating: 9,
+        watched_episodes_count: 12,
+        total_episodes_count: 19
+      }
+    ]
+  },
+  {
+    method: 'GET',
+    path: '/sync/activities',
+    body: {
+      all: '2024-05-01T18:30:00Z',
+      tv_shows: { all: '2024-05-01T18:30:00Z', removed_from_list: '2024-01-10T09:00:00Z' },
+      anime: { all: '2024-03-02T12:00:00Z', removed_from_list: null },
+      movies: { all: '2024-04-20T21:15:00Z', removed_from_list: null }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/sync/all-items/:type',
+    body: (request) => ({
+      [request.params.type]: request.params.type === 'movies'
+        ? [{ movie: { title: 'Dune: Part Two', year: 2024, ids: { simkl: 2143622 } }, status: 'completed', user_rating: 8 }]
+        : [{
+          show: { title: 'Severance', year: 2022, ids: { simkl: 1451289 } },
+          status: 'watching',
+          watched_episodes_count: 12,
+          total_episodes_count: 19,
+          next_to_watch: 'S02E03'
+        }]
+    })
+  },
+  {
+    // No type: the whole library in one response
+    method: 'GET',
+    path: '/sync/all-items',
+    body: {
+      shows: [{
+        show: { title: 'Severance', year: 2022, ids: { simkl: 1451289 } },
+        status: 'watching',
+        watched_episodes_count: 12,
+        total_episodes_count: 19,
+        last_watched_at: '2024-05-01T18:30:00Z'
+      }],
+      anime: [{
+        show: { title: 'Frieren', year: 2023, ids: { simkl: 2121415 } },
+        status: 'completed',
+        user_rating: 10,
+        watched_episodes_count: 28,
+        total_episodes_count: 28,
+        last_watched_at: '2024-03-02T12:00:00Z'
+      }],
+      movies: [{
+        movie: { title: 'Dune: Part Two', year: 2024, ids: { simkl: 2143622 } },
+        status: 'completed',
+        user_rating: 8,
+        last_watched_at: '2024-04-20T21:15:00Z'
+      }]
+    }
+  },
+  {
+    method: 'GET',
+    path: '/oauth/pin',
+    body: {
+      result: 'OK',
+      device_code: 'DEVICE_CODE',
+      user_code: 'ABCDE',
+      verification_url: 'https://simkl.com/pin',
+      expires_in: 900,
+      interval: 5
+    }
+  },
+  {
+    // Pending on the first poll, approved on the next
+    method: 'GET',
+    path: '/oauth/pin/:code',
+    body: (request, calls) => calls > 1
+      ? { result: 'OK', access_token: 'FIXTURE_ACCESS_TOKEN' }
+      : { result: 'KO', message: 'Authorization pending' }
+  },
+  {
+    method: 'GET',
+    path: '/users/settings',
+    body: {
+      user: { name: 'Fixture User', joined_at: '2019-02-14T10:00:00Z' },
+      account: { id: 424242, timezone: 'UTC' }
+    }
+  },
+  {
+    // Refresh token grant
+    method: 'POST',
+    path: '/oauth/token',
+    body: (request) => ({
+      access_token: 'FIXTURE_REFRESHED_TOKEN',
+      refresh_token: `${request.body.refresh_token}-next`,
+      token_type: 'bearer',
+      expires_in: 7776000
+    })
+  },
+  {
+    method: 'POST',
+    path: '/sync/:action',
+    body: (request) => ({ added: countSynced(request), not_found: { movies: [], shows: [] } })
+  },
+  {
+    method: 'POST',
+    path: '/sync/history/remove',
+    body: (request) => ({ deleted: countSynced(request), not_found: { movies: [], shows: [] } })
+  },
+  {
+    // Keep last: item details match any /:type/:id
+    method: 'GET',
+    path: '/:type/:id',
+    body: (request) => ({
+      title: 'Severance',
+      year: 2022,
+      type: request.params.type,
+      status: 'airing',
+      runtime: 50,
+      genres: ['Drama', 'Mystery', 'Science Fiction'],
+      poster: '11/11568281d1e3b2d45',
+      ids: { simkl: Number(request.params.id) || 1451289, slug: 'severance', imdb: 'tt11280740', tmdb: '95396' }
+    })
+  }
+];
@@ -0,0 +1,52 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+
+function createSync() {
+  const plugin = createPluginStub(modules);
+  const sync = new modules.SimklFrontmatterSync(plugin);
+  sync.reconciled = [];
+  sync.reconcileFile = async (file) => {
+    sync.reconciled.push(file.path);
+  };
+  return { plugin, sync };
+}
+
+describe('SimklFrontmatterSync', () => {
+  test('reconciles every note changed within the debounce window', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { sync } = createSync();
+
+    sync.onMetadataChanged({ path: 'Titles/Dark.md' });
+    sync.onMetadataChanged({ path: 'Titles/Andor.md' });
+    sync.onMetadataChanged({ path: 'Titles/Dark.md' });
+    t.mock.timers.tick(2000);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(sync.reconciled, ['Titles/Dark.md', 'Titles/Andor.md']);
+  });
+
+  test('drops queued notes on reset', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { sync } = createSync();
+
+    sync.onMetadataChanged({ path: 'Titles/Dark.md' });
+    sync.reset();
+    t.mock.timers.tick(2000);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(sync.reconciled, []);
+  });
+
+  test('keeps its state per profile', async () => {
+    const { plugin, sync } = createSync();
+    const dir = plugin.manifest.dir;
+
+    assert.equal(sync.statePath, `${dir}/frontmatter-sync.json`);
+
+    const id = await plugin.profiles.add('Partner');
+    plugin.settings.activeProfile = id;
+    assert.equal(sync.statePath, `${dir}/frontmatter-sync-partner.json`);
+  });
+});
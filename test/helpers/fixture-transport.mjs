@@ -0,0 +1,77 @@
+import { loadPlugin } from './load-plugin.mjs';
+import { SIMKL_FIXTURES } from '../fixtures/simkl.mjs';
+
+const { createResponse, SimklApi, DEFAULT_SETTINGS } = loadPlugin();
+
+/**
+ * Replays fixtures instead of touching the network. Every request is kept
+ * in `requests` so tests can assert on what was sent.
+ */
+export class SimklFixtureTransport {
+  constructor(fixtures = SIMKL_FIXTURES) {
+    this.fixtures = fixtures.map(fixture => ({ ...fixture, pattern: this.compilePath(fixture.path) }));
+    this.requests = [];
+    this.calls = new Map(); // fixture -> times matched
+  }
+
+  compilePath(path) {
+    const names = [];
+    const source = path.split('/').map(segment => {
+      if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }).join('/');
+    return { regex: new RegExp(`^${source}$`), names };
+  }
+
+  async request({ url, method = 'GET', headers = {}, body }) {
+    const { pathname, searchParams } = new URL(url);
+    const request = {
+      method,
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      headers,
+      body: body ? JSON.parse(body) : null,
+      params: {}
+    };
+    this.requests.push(request);
+
+    // Most specific first: fixtures are tried in order, so exact paths go before patterns
+    for (const fixture of this.fixtures) {
+      if (fixture.method !== method) continue;
+
+      const match = fixture.pattern.regex.exec(pathname);
+      if (!match) continue;
+
+      fixture.pattern.names.forEach((name, index) => {
+        request.params[name] = decodeURIComponent(match[index + 1]);
+      });
+
+      const calls = (this.calls.get(fixture) || 0) + 1;
+      this.calls.set(fixture, calls);
+
+      const data = typeof fixture.body === 'function' ? fixture.body(request, calls) : fixture.body;
+      const status = typeof fixture.status === 'function' ? fixture.status(request, calls) : fixture.status;
+      return createResponse(status || 200, fixture.headers, JSON.stringify(data));
+    }
+
+    return createResponse(404, {}, JSON.stringify({ error: 'No fixture for this request' }));
+  }
+
+  reset() {
+    this.requests = [];
+    this.calls.clear();
+  }
+}
+
+/**
+ * SimklApi replaying fixtures, without request spacing so tests run fast
+ */
+export function createFixtureApi(settings = {}, transport = new SimklFixtureTransport()) {
+  const api = new SimklApi();
+  api.init({ ...DEFAULT_SETTINGS, clientId: 'test-client', maxConcurrentRequests: 4, ...settings });
+  api.setTransport(transport);
+  api.scheduler.baseInterval = 0;
+  api.scheduler.minInterval = 0;
+  return { api, transport };
+}
@@ -0,0 +1,92 @@
+// main(fixes).js is the plugin's modules pasted one after another, each
+// starting with its own imports. Node can't import it as-is, so tests load
+// it the way the bundle would see it: imports resolved against each other,
+// 'obsidian' replaced by the stubs in ./obsidian.mjs.
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import * as obsidianStubs from './obsidian.mjs';
+
+const SOURCE_PATH = fileURLToPath(new URL('../../main(fixes).js', import.meta.url));
+
+// Notes kept at the end of the file after the last module
+const SOURCE_END_MARKER = '// prompt Authentication Fix:';
+
+let compiled = null;
+
+function compile() {
+  let source = readFileSync(SOURCE_PATH, 'utf8');
+  source = source.slice(0, source.indexOf(SOURCE_END_MARKER));
+
+  source = source
+    .replace(/^import [\s\S]*?;\n/gm, '')
+    .replace(/^export default class /gm, 'class ')
+    .replace(/^export /gm, '');
+
+  // A few legacy classes are defined twice; the first definition is the one
+  // exposed, later ones are renamed so the file still evaluates
+  const names = [];
+  source = source.replace(/^(class|const|let|function) (\w+)/gm, (match, kind, name) => {
+    if (names.includes(name)) {
+      return `${kind} ${name}$${names.filter(existing => existing === name).length + 1}`;
+    }
+    names.push(name);
+    return match;
+  });
+
+  return { source, names };
+}
+
+/**
+ * Evaluate the plugin source and return its top-level classes, functions
+ * and constants by name. `globals` replaces Obsidian stubs or browser
+ * globals (window, crypto, ...) for one load.
+ */
+export function loadPlugin(globals = {}) {
+  compiled = compiled || compile();
+
+  const scope = {
+    window: globalThis,
+    ...obsidianStubs,
+    ...globals
+  };
+  const scopeNames = Object.keys(scope).filter(name => !compiled.names.includes(name));
+
+  const factory = new Function(
+    ...scopeNames,
+    `${compiled.source}\nreturn { ${compiled.names.join(', ')} };`
+  );
+  return factory(...scopeNames.map(name => scope[name]));
+}
+
+/**
+ * Plugin stand-in with default settings and one profile, enough for the
+ * parser and other classes that only read `plugin.settings`
+ */
+export function createPluginStub(modules, settings = {}) {
+  const plugin = {
+    settings: { ...modules.DEFAULT_SETTINGS, clientId: 'test-client', userId: '1001', ...settings },
+    manifest: { dir: '.obsidian/plugins/simkl-auth' },
+    app: {},
+    saveSettings: async () => {}
+  };
+  plugin.profiles = new modules.SimklProfiles(plugin);
+  plugin.profiles.migrate();
+  return plugin;
+}
+
+const LEGACY_SOURCE_PATH = fileURLToPath(new URL('../../main.js', import.meta.url));
+
+/**
+ * Evaluate main.js, the CommonJS plugin the manifest loads, and return its
+ * top-level classes and functions by name. `obsidian` replaces stubs for
+ * one load.
+ */
+export function loadLegacyPlugin(obsidian = {}) {
+  const source = readFileSync(LEGACY_SOURCE_PATH, 'utf8');
+  const names = [...source.matchAll(/^(?:class|function|const) (\w+)/gm)].map(match => match[1]);
+  const modules = { obsidian: { ...obsidianStubs, ...obsidian } };
+
+  const factory = new Function('require', 'module', `${source}\nreturn { ${names.join(', ')} };`);
+  return factory(name => modules[name], { exports: {} });
+}
@@ -0,0 +1,96 @@
+// Minimal stand-ins for the parts of the Obsidian API the plugin touches
+// at class-definition time or in the code paths under test.
+
+export class Component {
+  load() {}
+  unload() {}
+  onunload() {}
+  addChild(child) {
+    return child;
+  }
+}
+
+export class MarkdownRenderChild extends Component {
+  constructor(containerEl) {
+    super();
+    this.containerEl = containerEl;
+  }
+}
+
+export class Plugin extends Component {
+  constructor(app, manifest) {
+    super();
+    this.app = app;
+    this.manifest = manifest;
+  }
+}
+
+export class Modal {
+  constructor(app) {
+    this.app = app;
+  }
+  open() {}
+  close() {}
+}
+
+export class PluginSettingTab {
+  constructor(app, plugin) {
+    this.app = app;
+    this.plugin = plugin;
+  }
+}
+
+export class Setting {}
+export class Menu {}
+export class TFile {}
+
+export const notices = [];
+export class Notice {
+  constructor(message) {
+    notices.push(message);
+  }
+  hide() {}
+}
+
+export const MarkdownRenderer = {
+  render: async () => {}
+};
+
+export function normalizePath(path) {
+  return path.replace(/\/+/g, '/').replace(/^\/|\/$/g, '');
+}
+
+export function debounce(callback, wait) {
+  let timer = null;
+  const debounced = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => callback(...args), wait);
+    return debounced;
+  };
+  debounced.cancel = () => clearTimeout(timer);
+  return debounced;
+}
+
+export async function requestUrl() {
+  throw new Error('requestUrl is not available in tests; use the fixture transport');
+}
+
+// Formats the tokens the plugin uses: YYYY MM DD HH mm and [literal] text
+export function moment(value) {
+  const date = value === undefined ? new Date() : new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes())
+  };
+
+  return {
+    format: (pattern = 'YYYY-MM-DDTHH:mm') =>
+      pattern.replace(/\[([^\]]*)\]|YYYY|MM|DD|HH|mm/g, (token, literal) => literal ?? tokens[token]),
+    toDate: () => date
+  };
+}
+moment.duration = (ms) => ({ humanize: () => `${Math.round(ms / 1000)} seconds` });
@@ -0,0 +1,145 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Modal } from './helpers/obsidian.mjs';
+import { loadLegacyPlugin } from './helpers/load-plugin.mjs';
+
+// Enough of an element for the PIN modal to build itself
+function createElement() {
+  const el = {
+    empty() {},
+    addClass() {},
+    createEl: () => el
+  };
+  return el;
+}
+
+// Modal that runs onOpen/onClose the way Obsidian does
+const modals = [];
+class TestModal extends Modal {
+  constructor(app) {
+    super(app);
+    this.contentEl = createElement();
+    this.isOpen = false;
+    modals.push(this);
+  }
+  open() {
+    this.isOpen = true;
+    this.onOpen();
+  }
+  close() {
+    if (this.isOpen) {
+      this.isOpen = false;
+      this.onClose();
+    }
+  }
+}
+
+const { SimklAuthPlugin } = loadLegacyPlugin({ Modal: TestModal });
+
+function response(status, body) {
+  return {
+    status,
+    ok: status < 400,
+    headers: new Map(),
+    text: async () => JSON.stringify(body)
+  };
+}
+
+/**
+ * Plugin whose fetch hands out PINs ABC1, ABC2, ... and answers polls from
+ * `pollAnswers`, the last one repeating
+ */
+function createPlugin(t, pollAnswers = [{}]) {
+  modals.length = 0;
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const plugin = new SimklAuthPlugin({}, {});
+  plugin.settings = { clientId: 'test-client', clientSecret: '', accessToken: '' };
+  plugin.saveSettings = async () => {};
+
+  const polls = [];
+  let pins = 0;
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    const code = url.match(/\/oauth\/pin\/(\w+)/)?.[1];
+    if (!code) {
+      pins++;
+      return response(200, { user_code: `ABC${pins}`, interval: 5, expires_in: 60 });
+    }
+    polls.push(code);
+    return response(200, pollAnswers[Math.min(polls.length - 1, pollAnswers.length - 1)]);
+  });
+
+  return { plugin, polls };
+}
+
+// Advance a second at a time so polls scheduled after a fetch still fire
+async function tick(t, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 1000) {
+    t.mock.timers.tick(1000);
+    for (let i = 0; i < 5; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+}
+
+describe('main.js PIN authentication', () => {
+  test('polls until a token arrives, then stores it and closes the modal', async (t) => {
+    const { plugin, polls } = createPlugin(t, [{}, { error: 'authorization_pending' }, { access_token: 'TOKEN' }]);
+
+    await plugin.startPinAuthentication();
+    await tick(t, 15000);
+
+    assert.deepEqual(polls, ['ABC1', 'ABC1', 'ABC1']);
+    assert.equal(plugin.settings.accessToken, 'TOKEN');
+    assert.equal(plugin.session, null);
+    assert.equal(modals[0].isOpen, false);
+
+    await tick(t, 30000);
+    assert.equal(polls.length, 3);
+  });
+
+  test('closing the modal cancels its session', async (t) => {
+    const { plugin, polls } = createPlugin(t);
+
+    await plugin.startPinAuthentication();
+    const { session } = plugin;
+    modals[0].close();
+
+    assert.equal(session.state, 'cancelled');
+    await tick(t, 30000);
+    assert.deepEqual(polls, []);
+  });
+
+  test('a replaced modal closing leaves the newer session polling', async (t) => {
+    const { plugin, polls } = createPlugin(t);
+
+    await plugin.startPinAuthentication();
+    const first = plugin.session;
+    await plugin.startPinAuthentication();
+    const second = plugin.session;
+
+    assert.equal(first.state, 'cancelled');
+    assert.equal(modals[0].isOpen, false);
+
+    // Late close of the old modal, e.g. from its own Cancel button
+    modals[0].onClose();
+    assert.equal(second.isActive(), true);
+
+    await tick(t, 10000);
+    assert.deepEqual(polls, ['ABC2', 'ABC2']);
+  });
+
+  test('expires after the PIN lifetime', async (t) => {
+    const { plugin, polls } = createPlugin(t);
+
+    await plugin.startPinAuthentication();
+    const { session } = plugin;
+    await tick(t, 60000);
+
+    assert.equal(session.state, 'expired');
+    assert.equal(modals[0].isOpen, false);
+    const count = polls.length;
+    await tick(t, 30000);
+    assert.equal(polls.length, count);
+  });
+});
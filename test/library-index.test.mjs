@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+
+const LIBRARY = {
+  shows: [{
+    status: 'watching',
+    user_rating: 9,
+    watched_episodes_count: 5,
+    total_episodes_count: 10,
+    last_watched_at: '2026-02-01T21:00:00Z',
+    show: { title: 'Dark', year: 2017, runtime: '60', genres: ['Drama'], ids: { simkl: '17', imdb: 'tt5753856' } }
+  }],
+  anime: [{
+    status: 'completed',
+    watched_episodes_count: 14,
+    show: { title: 'Frieren', year: 2023, total_episodes: 12, ids: { simkl: 39687 } }
+  }],
+  movies: [
+    { status: 'completed', last_watched_at: 'not a date', movie: { title: 'Dune', ids: { simkl: 5 } } },
+    { status: 'plantowatch', movie: { ids: {} } }
+  ]
+};
+
+/**
+ * Index over a fixed library; `dataview` is the Dataview plugin API, or
+ * null when Dataview is not enabled
+ */
+function createIndex(dataview = null) {
+  const plugin = createPluginStub(modules);
+  plugin.sync = { getLibrary: async () => LIBRARY };
+  plugin.app = {
+    plugins: {
+      enabledPlugins: new Set(dataview ? ['dataview'] : []),
+      plugins: dataview ? { dataview: { api: dataview } } : {}
+    }
+  };
+  return new modules.SimklLibraryIndex(plugin);
+}
+
+describe('SimklLibraryIndex', () => {
+  test('flattens every group into typed rows', async () => {
+    const rows = await createIndex().query();
+
+    assert.ok(Array.isArray(rows));
+    assert.deepEqual(rows.map(row => [row.title, row.type]), [
+      ['Dark', 'tv'], ['Frieren', 'anime'], ['Dune', 'movie'], ['Unknown title', 'movie']
+    ]);
+
+    const [dark] = rows;
+    assert.equal(dark.id, 17);
+    assert.equal(dark.ids.imdb, 'tt5753856');
+    assert.equal(dark.status, 'watching');
+    assert.equal(dark.rating, 9);
+    assert.equal(dark.year, 2017);
+    assert.equal(dark.runtime, 60);
+    assert.deepEqual(dark.genres, ['Drama']);
+    assert.ok(dark.lastWatched instanceof Date);
+    assert.equal(dark.lastWatched.toISOString(), '2026-02-01T21:00:00.000Z');
+  });
+
+  test('progress is a share of episodes, capped at 1, and 0 or 1 for movies', async () => {
+    const rows = await createIndex().query();
+
+    assert.deepEqual(rows.map(row => [row.watched, row.total, row.progress]), [
+      [5, 10, 0.5],
+      [14, 12, 1],
+      [0, null, 1],
+      [0, null, 0]
+    ]);
+  });
+
+  test('missing or invalid values become null', async () => {
+    const [, frieren, dune, unknown] = await createIndex().query();
+
+    assert.equal(frieren.rating, null);
+    assert.equal(frieren.runtime, null);
+    assert.equal(frieren.lastWatched, null);
+    assert.equal(dune.lastWatched, null);
+    assert.equal(unknown.id, null);
+    assert.equal(unknown.year, null);
+    assert.deepEqual(unknown.genres, []);
+  });
+
+  test('uses Dataview arrays and Luxon dates when Dataview is enabled', async () => {
+    const dataview = {
+      array: rows => ({ dataArray: true, values: rows }),
+      luxon: {
+        DateTime: {
+          fromISO: value => {
+            const date = new Date(value);
+            return { isValid: !Number.isNaN(date.getTime()), year: date.getUTCFullYear() };
+          }
+        }
+      }
+    };
+
+    const result = await createIndex(dataview).query();
+
+    assert.equal(result.dataArray, true);
+    assert.equal(result.values.length, 4);
+    assert.equal(result.values[0].lastWatched.year, 2026);
+    assert.equal(result.values[2].lastWatched, null);
+  });
+});
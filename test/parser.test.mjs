@@ -0,0 +1,207 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+
+function createParser(settings) {
+  return new modules.SimklConfigParser(createPluginStub(modules, settings));
+}
+
+describe('parseConfigLines', () => {
+  test('reads key: value lines, skipping blanks and # comments', () => {
+    const parser = createParser();
+    const config = parser.parseConfigLines([
+      '# my anime',
+      '',
+      '  mediaType: anime  ',
+      'listType: completed',
+      'not a config line'
+    ].join('\n'));
+
+    assert.deepEqual(config, { mediaType: 'anime', listType: 'completed' });
+  });
+
+  test('splits on the first colon only', () => {
+    const config = createParser().parseConfigLines('query: Star Wars: Andor');
+    assert.equal(config.query, 'Star Wars: Andor');
+  });
+
+  test('lowercases and normalizes keys, normalizes values', () => {
+    const config = createParser().parseConfigLines('USER_ID: 42\nShowCovers: "false"');
+    assert.deepEqual(config, { userId: 42, showcovers: false });
+  });
+
+  test('ignores keys without a value', () => {
+    assert.deepEqual(createParser().parseConfigLines('query:\nquery:   '), {});
+  });
+});
+
+describe('normalizeKey', () => {
+  const aliases = {
+    mediatype: 'mediaType',
+    media_type: 'mediaType',
+    media: 'mediaType',
+    listtype: 'listType',
+    list_type: 'listType',
+    list: 'listType',
+    status: 'listType',
+    userid: 'userId',
+    user_id: 'userId',
+    user: 'userId',
+    username: 'userId',
+    id: 'showId',
+    showid: 'showId',
+    show_id: 'showId',
+    tmdb: 'tmdbId',
+    tmdb_id: 'tmdbId',
+    imdb: 'imdbId',
+    imdb_id: 'imdbId',
+    simkl: 'showId',
+    simkl_id: 'showId',
+    account: 'profile'
+  };
+
+  for (const [alias, key] of Object.entries(aliases)) {
+    test(`${alias} -> ${key}`, () => {
+      assert.equal(createParser().normalizeKey(alias), key);
+    });
+  }
+
+  test('passes unknown keys through', () => {
+    assert.equal(createParser().normalizeKey('layout'), 'layout');
+  });
+});
+
+describe('normalizeValue', () => {
+  const parser = createParser();
+
+  test('strips surrounding quotes', () => {
+    assert.equal(parser.normalizeValue('"Breaking Bad"'), 'Breaking Bad');
+    assert.equal(parser.normalizeValue("'card'"), 'card');
+  });
+
+  test('parses booleans case-insensitively', () => {
+    assert.equal(parser.normalizeValue('true'), true);
+    assert.equal(parser.normalizeValue('FALSE'), false);
+  });
+
+  test('parses whole numbers', () => {
+    assert.equal(parser.normalizeValue('12345'), 12345);
+    assert.equal(parser.normalizeValue('"7"'), 7);
+  });
+
+  test('keeps everything else as a string', () => {
+    assert.equal(parser.normalizeValue('8.5'), '8.5');
+    assert.equal(parser.normalizeValue('tt0903747'), 'tt0903747');
+  });
+});
+
+describe('parseInlineHref', () => {
+  const parser = createParser();
+
+  test('simkl:stats', () => {
+    assert.deepEqual(parser.parseInlineHref('simkl:stats'), { type: 'stats' });
+  });
+
+  test('simkl:show/<slug>', () => {
+    assert.deepEqual(parser.parseInlineHref('simkl:show/breaking-bad'), {
+      type: 'show',
+      slug: 'breaking-bad',
+      mediaType: 'tv'
+    });
+  });
+
+  test('simkl:<user> is their watching TV list', () => {
+    assert.deepEqual(parser.parseInlineHref('simkl:alice'), {
+      type: 'list',
+      userId: 'alice',
+      mediaType: 'tv',
+      listType: 'watching'
+    });
+  });
+
+  test('simkl:<user>/stats', () => {
+    assert.deepEqual(parser.parseInlineHref('simkl:alice/stats'), { type: 'stats', userId: 'alice' });
+  });
+
+  test('simkl:<user>/<media>[/<list>]', () => {
+    assert.deepEqual(parser.parseInlineHref('simkl:alice/anime/completed'), {
+      type: 'list',
+      userId: 'alice',
+      mediaType: 'anime',
+      listType: 'completed'
+    });
+    assert.equal(parser.parseInlineHref('simkl:alice/movie').listType, 'watching');
+  });
+
+  test('rejects an empty link', () => {
+    assert.throws(() => parser.parseInlineHref('simkl:'), /Invalid Simkl link format/);
+    assert.throws(() => parser.parseInlineHref('simkl:///'), /Invalid Simkl link format/);
+  });
+});
+
+describe('validateAndNormalizeConfig', () => {
+  test('fills in defaults from settings', () => {
+    const config = createParser({ defaultLayout: 'table' }).validateAndNormalizeConfig({}, 'codeblock');
+
+    assert.equal(config.type, 'list');
+    assert.equal(config.mediaType, 'tv');
+    assert.equal(config.listType, 'watching');
+    assert.equal(config.layout, 'table');
+    assert.equal(config.userId, '1001');
+  });
+
+  const errors = [
+    ['an unknown profile', { profile: 'nobody' }, /Invalid profile: nobody/],
+    ['an unknown type', { type: 'calendar' }, /Invalid type: calendar/],
+    ['an unknown media type', { mediaType: 'books' }, /Invalid mediaType: books/],
+    ['an unknown list type', { listType: 'finished' }, /Invalid listType: finished/],
+    ['an unknown layout', { layout: 'grid' }, /Invalid layout: grid/],
+    ['a show without slug or ID', { type: 'show' }, /slug or showId is required/],
+    ['a search without query', { type: 'search' }, /query is required/],
+    ['a template layout without template', { layout: 'template' }, /template is required/]
+  ];
+
+  for (const [name, config, message] of errors) {
+    test(`rejects ${name}`, () => {
+      assert.throws(() => createParser().validateAndNormalizeConfig(config, 'codeblock'), message);
+    });
+  }
+
+  test('rejects a list without any user', () => {
+    const parser = createParser({ userId: '' });
+    assert.throws(() => parser.validateAndNormalizeConfig({}, 'codeblock'), /userId is required/);
+  });
+
+  test('rejects a config when no client ID is set', () => {
+    const parser = createParser({ clientId: '' });
+    assert.throws(() => parser.validateAndNormalizeConfig({}, 'codeblock'), /Client ID not configured/);
+  });
+});
+
+describe('generateCacheKey', () => {
+  const parser = createParser();
+
+  test('is the same for the same config', () => {
+    const config = { type: 'list', mediaType: 'anime', listType: 'completed', userId: 1001 };
+    assert.equal(parser.generateCacheKey(config), parser.generateCacheKey({ ...config }));
+  });
+
+  test('does not depend on key order', () => {
+    const a = { type: 'search', mediaType: 'tv', query: 'dark', layout: 'card' };
+    const b = { layout: 'card', query: 'dark', mediaType: 'tv', type: 'search' };
+    assert.equal(parser.generateCacheKey(a), parser.generateCacheKey(b));
+  });
+
+  test('keeps a slug and a show ID with the same value apart', () => {
+    const bySlug = parser.generateCacheKey({ type: 'show', mediaType: 'tv', slug: '123' });
+    const byId = parser.generateCacheKey({ type: 'show', mediaType: 'tv', showId: '123' });
+    assert.notEqual(bySlug, byId);
+  });
+
+  test('ignores options that do not change the data', () => {
+    const config = { type: 'list', mediaType: 'tv', listType: 'watching', userId: 1 };
+    assert.equal(parser.generateCacheKey(config), parser.generateCacheKey({ ...config, layout: 'table' }));
+  });
+});
@@ -0,0 +1,115 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Modal, notices } from './helpers/obsidian.mjs';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+// Confirm modals answer with `confirmAnswer` as soon as they open
+let confirmAnswer = false;
+const prompts = [];
+class AnsweringModal extends Modal {
+  open() {
+    prompts.push(this.title);
+    this.contentEl = { empty() {} };
+    this.confirmed = confirmAnswer;
+    this.onClose();
+  }
+}
+
+const modules = loadPlugin({ Modal: AnsweringModal });
+
+const DETAILS = {
+  title: 'Dune',
+  year: 2021,
+  status: 'ended', // airing status of the title
+  total_episodes: 0,
+  ids: { simkl: 1001 }
+};
+
+function createProcessor(library = { shows: [], movies: [], anime: [] }) {
+  const plugin = createPluginStub(modules, { accessToken: 'token' });
+  plugin.notes = new modules.SimklNoteManager(plugin);
+  plugin.sync = {
+    getLibrary: async () => library,
+    getEntryId: entry => String((entry.show || entry.movie || entry.anime).ids.simkl),
+    invalidate() {}
+  };
+
+  const posted = [];
+  plugin.api = { markAsWatched: async (...args) => posted.push(args) };
+  plugin.cache = { delete() {} };
+  plugin.watchLog = { recordWatched() {} };
+
+  const processor = new modules.SimklProcessor(plugin);
+  processor.init(plugin.settings);
+  processor.fillCard = () => {};
+  return { processor, posted };
+}
+
+describe('SimklProcessor title details', () => {
+  test('does not read the airing status as the list status', () => {
+    const { processor } = createProcessor();
+    const item = processor.normalizeEntry(DETAILS, 'movie');
+    assert.equal(item.status, undefined);
+  });
+
+  test('takes the list status and progress from the library', async () => {
+    const { processor } = createProcessor({
+      shows: [{ show: { title: 'Dune', ids: { simkl: 1001 } }, status: 'watching', user_rating: 8, watched_episodes_count: 3, total_episodes_count: 10, next_to_watch: 'S01E04' }],
+      movies: [],
+      anime: []
+    });
+    const item = processor.normalizeEntry(DETAILS, 'tv');
+
+    await processor.applyListEntry(item, { type: 'show' });
+
+    assert.equal(item.status, 'watching');
+    assert.equal(item.userRating, 8);
+    assert.equal(item.watchedEpisodes, 3);
+    assert.deepEqual(item.nextEpisode, { season: 1, episode: 4 });
+  });
+
+  test('leaves titles of another profile alone', async () => {
+    const { processor } = createProcessor({
+      shows: [{ show: { ids: { simkl: 1001 } }, status: 'watching' }],
+      movies: [],
+      anime: []
+    });
+    const item = processor.normalizeEntry(DETAILS, 'tv');
+
+    await processor.applyListEntry(item, { type: 'show', profile: 'partner' });
+    assert.equal(item.status, undefined);
+  });
+});
+
+describe('SimklProcessor mark watched', () => {
+  const button = () => ({ disabled: false });
+
+  test('asks before marking a whole show watched', async () => {
+    const { processor, posted } = createProcessor();
+    const item = processor.normalizeEntry(DETAILS, 'tv');
+    prompts.length = 0;
+
+    confirmAnswer = false;
+    await processor.markWatched({}, item, { type: 'show' }, {}, button());
+    assert.deepEqual(prompts, ['Mark all of Dune watched?']);
+    assert.equal(posted.length, 0);
+
+    confirmAnswer = true;
+    await processor.markWatched({}, item, { type: 'show' }, {}, button());
+    assert.equal(posted.length, 1);
+    assert.equal(item.status, 'completed');
+    assert.equal(notices.at(-1), '✅ Marked Dune as watched');
+  });
+
+  test('marks movies and single episodes without asking', async () => {
+    const { processor, posted } = createProcessor();
+    prompts.length = 0;
+
+    await processor.markWatched({}, processor.normalizeEntry(DETAILS, 'movie'), { type: 'show' }, {}, button());
+    await processor.markWatched({}, processor.normalizeEntry(DETAILS, 'tv'), { type: 'list' }, { season: 1, episode: 2 }, button());
+
+    assert.deepEqual(prompts, []);
+    assert.deepEqual(notices.slice(-2), ['✅ Marked Dune as watched', '✅ Marked Dune as watched']);
+    assert.deepEqual(posted.map(([type, , target]) => [type, target]), [['movie', {}], ['tv', { season: 1, episode: 2 }]]);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+import { createFixtureApi } from './helpers/fixture-transport.mjs';
+
+const modules = loadPlugin();
+
+function createVaultAdapter(files = {}) {
+  return {
+    files,
+    exists: async (path) => path in files,
+    read: async (path) => files[path],
+    write: async (path, data) => { files[path] = data; },
+    remove: async (path) => { delete files[path]; }
+  };
+}
+
+function createContainer() {
+  return {
+    isConnected: true,
+    empty() {},
+    createDiv() {},
+    removeClass() {}
+  };
+}
+
+async function createPlugin(files) {
+  const plugin = createPluginStub(modules, { userId: '1001' });
+  plugin.app = { vault: { adapter: createVaultAdapter(files) } };
+  plugin.auth = { stop() {} };
+  plugin.cache = new modules.SimklCache();
+  plugin.sync = new modules.SimklSyncEngine(plugin);
+  plugin.frontmatterSync = new modules.SimklFrontmatterSync(plugin);
+  plugin.processor = new modules.SimklProcessor(plugin);
+  plugin.processor.init(plugin.settings);
+
+  const partner = await plugin.profiles.add('Partner');
+  plugin.settings.profiles[partner].userId = '2002';
+  return { plugin, partner };
+}
+
+describe('SimklProfiles', () => {
+  test('switching re-parses blocks so they use the new default user', async () => {
+    const { plugin, partner } = await createPlugin();
+    const { processor } = plugin;
+    const rendered = [];
+    processor.renderBlock = async (container, config) => rendered.push(config);
+
+    await processor.mountBlock(createContainer(), () => processor.parser.parseCodeBlockConfig('media: anime'));
+    await processor.mountBlock(createContainer(), () => processor.parser.parseCodeBlockConfig('user: 77'));
+    assert.deepEqual(rendered.map(config => config.userId), ['1001', 77]);
+
+    await plugin.profiles.switchTo(partner);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(rendered.slice(2).map(config => config.userId), ['2002', 77]);
+  });
+
+  test('keeps data files per profile and deletes them and its cache with the profile', async () => {
+    const { plugin, partner } = await createPlugin();
+    const dir = plugin.manifest.dir;
+    const { files } = plugin.app.vault.adapter;
+
+    files[`${dir}/library.json`] = '{}';
+    files[`${dir}/frontmatter-sync.json`] = '{}';
+    files[`${dir}/library-${partner}.json`] = '{}';
+    files[`${dir}/frontmatter-sync-${partner}.json`] = '{}';
+
+    const { cache } = plugin;
+    cache.set(modules.CACHE_KEYS.USER_STATS('1001', 'default'), {});
+    cache.set(modules.CACHE_KEYS.USER_STATS('2002', partner), {});
+    cache.set(modules.CACHE_KEYS.USER_LIST('2002', 'anime', 'watching', partner), {});
+
+    assert.equal(plugin.sync.libraryPath, `${dir}/library.json`);
+    await plugin.profiles.remove(partner);
+
+    assert.deepEqual(Object.keys(files).sort(), [`${dir}/frontmatter-sync.json`, `${dir}/library.json`]);
+    assert.deepEqual([...cache.cache.keys()], ['stats:1001@default']);
+    assert.equal(plugin.profiles.has(partner), false);
+  });
+
+  test('requests for each profile carry that profile\'s credentials', async () => {
+    const { plugin, partner } = await createPlugin();
+    Object.assign(plugin.settings, { clientId: 'home-client', accessToken: 'HOME' });
+    Object.assign(plugin.settings.profiles[partner], { clientId: 'partner-client', accessToken: 'PARTNER' });
+
+    const { api, transport } = createFixtureApi();
+    api.settings = plugin.settings;
+    plugin.api = api;
+
+    // Lists are public reads, so they carry only the profile's api-key;
+    // the settings lookup carries its token too
+    const list = { type: 'list', mediaType: 'anime', listType: 'watching' };
+    await plugin.processor.requestData({ ...list, userId: '1001' });
+    await plugin.processor.requestData({ ...list, userId: '2002', profile: partner });
+    await api.getUserSettings();
+    await api.forSettings(plugin.profiles.getSettings(partner)).getUserSettings();
+
+    const sent = transport.requests.map(({ path, headers }) => ({
+      path,
+      auth: headers.Authorization,
+      key: headers['simkl-api-key']
+    }));
+    assert.deepEqual(sent, [
+      { path: '/users/1001/list/anime/watching', auth: undefined, key: 'home-client' },
+      { path: '/users/2002/list/anime/watching', auth: undefined, key: 'partner-client' },
+      { path: '/users/settings', auth: 'Bearer HOME', key: 'home-client' },
+      { path: '/users/settings', auth: 'Bearer PARTNER', key: 'partner-client' }
+    ]);
+  });
+});
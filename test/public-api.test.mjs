@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+
+/**
+ * Public API over stand-ins that record what reaches the processor, the
+ * API and the sync engine
+ */
+function createPublicApi(settings = { accessToken: 'token' }) {
+  const plugin = createPluginStub(modules, settings);
+  const calls = { reads: [], watched: [], invalidated: [] };
+  const listeners = [];
+
+  plugin.processor = {
+    fetchData: async (config, options) => {
+      calls.reads.push({ config, options });
+      return { config };
+    },
+    invalidateLists: (type) => calls.invalidated.push(type)
+  };
+  plugin.api = {
+    markAsWatched: async (...args) => {
+      calls.watched.push(args);
+      return { added: { movies: 1 } };
+    }
+  };
+  plugin.sync = {
+    getLibrary: async () => ({ shows: [], anime: [], movies: [] }),
+    onChange: (callback) => {
+      listeners.push(callback);
+      return () => listeners.splice(listeners.indexOf(callback), 1);
+    }
+  };
+
+  return { api: new modules.SimklPublicApi(plugin), plugin, calls, listeners };
+}
+
+describe('SimklPublicApi', () => {
+  test('exposes the public version', () => {
+    const { api } = createPublicApi();
+    assert.equal(api.version, modules.PUBLIC_API_VERSION);
+    assert.match(api.version, /^\d+\.\d+\.\d+$/);
+  });
+
+  test('reads go through the processor with block configs', async () => {
+    const { api, calls } = createPublicApi();
+    const controller = new AbortController();
+
+    await api.search('Dark', { signal: controller.signal });
+    await api.getItem('anime', 39687);
+    await api.getList('completed', { type: 'anime' });
+    await api.getStats({ userId: '55' });
+
+    assert.deepEqual(calls.reads.map(({ config }) => config), [
+      { type: 'search', mediaType: 'tv', query: 'Dark' },
+      { type: 'show', mediaType: 'anime', showId: '39687' },
+      { type: 'list', mediaType: 'anime', listType: 'completed', userId: '1001', profile: undefined },
+      { type: 'stats', userId: '55', profile: undefined }
+    ]);
+    assert.equal(calls.reads[0].options.signal, controller.signal);
+  });
+
+  test('lists and stats default to the chosen profile\'s user', async () => {
+    const { api, plugin, calls } = createPublicApi();
+    const partner = await plugin.profiles.add('Partner');
+    plugin.settings.profiles[partner].userId = '2002';
+
+    await api.getList('watching', { profile: partner });
+    await api.getStats({ profile: partner });
+
+    assert.deepEqual(calls.reads.map(({ config }) => [config.userId, config.profile]), [['2002', partner], ['2002', partner]]);
+    await assert.rejects(api.getStats({ profile: 'missing' }), /Invalid profile: missing/);
+  });
+
+  test('rejects an empty search', async () => {
+    const { api, calls } = createPublicApi();
+    await assert.rejects(api.search(''), /search query is required/);
+    assert.equal(calls.reads.length, 0);
+  });
+
+  test('library and writes require a signed-in profile', async () => {
+    const { api, calls } = createPublicApi({ accessToken: '' });
+
+    assert.equal(api.isAuthenticated(), false);
+    await assert.rejects(api.getLibrary(), new RegExp(modules.ERROR_MESSAGES.NO_ACCESS_TOKEN));
+    await assert.rejects(api.markWatched('movie', { simkl: 1 }), new RegExp(modules.ERROR_MESSAGES.NO_ACCESS_TOKEN));
+    assert.equal(calls.watched.length, 0);
+  });
+
+  test('markWatched posts and invalidates the matching lists', async () => {
+    const { api, calls } = createPublicApi();
+
+    const result = await api.markWatched('tv', { simkl: 7 }, { season: 2, episode: 3 });
+
+    assert.deepEqual(result, { added: { movies: 1 } });
+    assert.deepEqual(calls.watched, [['tv', { simkl: 7 }, { season: 2, episode: 3, watchedAt: undefined }]]);
+    assert.deepEqual(calls.invalidated, ['tv']);
+  });
+
+  test('onLibraryChanged subscribes to the sync engine and can unsubscribe', async () => {
+    const { api, listeners } = createPublicApi();
+    const received = [];
+
+    const unsubscribe = api.onLibraryChanged(changes => received.push(changes));
+    listeners.forEach(listener => listener({ updated: 1, removed: 0, watched: [] }));
+    unsubscribe();
+
+    assert.deepEqual(received, [{ updated: 1, removed: 0, watched: [] }]);
+    assert.equal(listeners.length, 0);
+  });
+});
@@ -0,0 +1,130 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, loadLegacyPlugin } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+const legacy = loadLegacyPlugin();
+
+// main.js carries its own copy of the helpers; both must behave the same
+const copies = [
+  ['main(fixes).js', modules],
+  ['main.js', legacy]
+];
+
+for (const [file, { redactSecrets, SimklSecretStore }] of copies) {
+  describe(`redactSecrets (${file})`, () => {
+    test('masks bearer tokens', () => {
+      assert.equal(redactSecrets('Authorization: Bearer abc.DEF-123'), 'Authorization: Bearer [redacted]');
+    });
+
+    test('masks credentials by key at any depth', () => {
+      const headers = { 'simkl-api-key': 'client', Accept: 'application/json' };
+      const body = { client_secret: 'secret', grant_type: 'refresh_token', refresh_token: 'refresh', nested: [{ access_token: 'access' }] };
+
+      assert.deepEqual(redactSecrets({ headers, body }), {
+        headers: { 'simkl-api-key': '[redacted]', Accept: 'application/json' },
+        body: { client_secret: '[redacted]', grant_type: 'refresh_token', refresh_token: '[redacted]', nested: [{ access_token: '[redacted]' }] }
+      });
+    });
+
+    test('masks credentials inside JSON text', () => {
+      const text = JSON.stringify({ access_token: 'access', token_type: 'bearer', client_secret: 'secret' });
+      assert.equal(redactSecrets(text), '{"access_token":"[redacted]","token_type":"bearer","client_secret":"[redacted]"}');
+    });
+
+    test('masks client IDs and codes in URLs', () => {
+      assert.equal(
+        redactSecrets('https://api.simkl.com/oauth/pin/ABCDE?client_id=client&redirect_uri=urn'),
+        'https://api.simkl.com/oauth/pin/[redacted]?client_id=[redacted]&redirect_uri=urn'
+      );
+      assert.equal(redactSecrets('https://example.com/callback?code=XYZ&state=1'), 'https://example.com/callback?code=[redacted]&state=1');
+    });
+
+    test('leaves other values alone', () => {
+      assert.deepEqual(redactSecrets({ title: 'Severance', count: 3, token: '' }), { title: 'Severance', count: 3, token: '' });
+      assert.equal(redactSecrets(null), null);
+    });
+  });
+
+  describe(`SimklSecretStore (${file})`, () => {
+    const secrets = { clientSecret: 'secret', accessToken: 'access' };
+
+    test('encrypts, locks and unlocks again', async () => {
+      const store = new SimklSecretStore();
+      await store.setPassphrase('correct horse');
+      const blob = await store.encrypt(secrets);
+
+      assert.equal(blob.version, 1);
+      assert.doesNotMatch(JSON.stringify(blob), /secret|access/);
+
+      store.lock();
+      assert.equal(store.isUnlocked(), false);
+
+      assert.deepEqual(await store.unlock('correct horse', blob), secrets);
+      assert.equal(store.isUnlocked(), true);
+    });
+
+    test('rejects a wrong passphrase and stays locked', async () => {
+      const writer = new SimklSecretStore();
+      await writer.setPassphrase('correct horse');
+      const blob = await writer.encrypt(secrets);
+
+      const store = new SimklSecretStore();
+      await assert.rejects(store.unlock('battery staple', blob), { message: 'Wrong passphrase' });
+      assert.equal(store.isUnlocked(), false);
+    });
+  });
+}
+
+describe('main.js credential storage', () => {
+  function createPlugin(stored) {
+    const plugin = new legacy.SimklAuthPlugin({}, {});
+    plugin.secrets = new legacy.SimklSecretStore();
+    plugin.loadData = async () => stored.data;
+    plugin.saveData = async (data) => { stored.data = JSON.parse(JSON.stringify(data)); };
+    return plugin;
+  }
+
+  test('keeps secrets out of data.json while encryption is on', async () => {
+    const stored = { data: null };
+    const plugin = createPlugin(stored);
+    await plugin.loadSettings();
+    Object.assign(plugin.settings, { clientId: 'client', clientSecret: 'secret', accessToken: 'access' });
+
+    await plugin.secrets.setPassphrase('correct horse');
+    plugin.settings.encryptSecrets = true;
+    await plugin.saveSettings();
+
+    assert.equal(stored.data.clientId, 'client');
+    assert.equal(stored.data.clientSecret, '');
+    assert.equal(stored.data.accessToken, '');
+    assert.doesNotMatch(JSON.stringify(stored.data), /secret"|access"/);
+
+    // A new session starts locked until the passphrase is given
+    const next = createPlugin(stored);
+    await next.loadSettings();
+    assert.equal(next.isLocked(), true);
+    assert.equal(next.settings.accessToken, '');
+
+    const unlocked = await next.secrets.unlock('correct horse', next.settings.encryptedSecrets);
+    assert.deepEqual(unlocked, { clientSecret: 'secret', accessToken: 'access' });
+  });
+
+  test('stores secrets in plain text again once encryption is off', async () => {
+    const stored = { data: null };
+    const plugin = createPlugin(stored);
+    await plugin.loadSettings();
+    plugin.settings.accessToken = 'access';
+
+    await plugin.secrets.setPassphrase('correct horse');
+    plugin.settings.encryptSecrets = true;
+    await plugin.saveSettings();
+
+    plugin.settings.encryptSecrets = false;
+    plugin.secrets.lock();
+    await plugin.saveSettings();
+
+    assert.equal(stored.data.accessToken, 'access');
+    assert.equal(stored.data.encryptedSecrets, null);
+  });
+});
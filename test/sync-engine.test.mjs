@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+
+const show = (id, extra = {}) => ({ show: { title: `Show ${id}`, ids: { simkl: id } }, status: 'watching', ...extra });
+
+/**
+ * API stand-in: `activities` and `items` are read at call time, every
+ * all-items call is recorded
+ */
+function createSync() {
+  const files = {};
+  const state = {
+    activities: { tv_shows: { all: 'T1', removed_from_list: 'R1' }, anime: { all: 'A1' }, movies: { all: 'M1' } },
+    items: { shows: [show(1), show(2)], anime: [], movies: [] },
+    calls: []
+  };
+
+  const api = {
+    withOptions: () => api,
+    getLastActivities: async () => state.activities,
+    getAllSyncItems: async (options) => {
+      state.calls.push(options);
+      return { [options.type]: state.items[options.type] };
+    }
+  };
+
+  const plugin = createPluginStub(modules);
+  plugin.api = api;
+  plugin.app = {
+    vault: {
+      adapter: {
+        exists: async (path) => path in files,
+        read: async (path) => files[path],
+        write: async (path, data) => { files[path] = data; }
+      }
+    }
+  };
+
+  return { sync: new modules.SimklSyncEngine(plugin), state, files };
+}
+
+const ids = (library, group) => library[group].map(entry => entry.show.ids.simkl).sort();
+
+describe('SimklSyncEngine', () => {
+  test('first sync fetches every section in full and stores the library', async () => {
+    const { sync, state, files } = createSync();
+
+    await sync.sync();
+
+    assert.deepEqual(state.calls, [{ type: 'shows' }, { type: 'anime' }, { type: 'movies' }]);
+    const stored = JSON.parse(files[sync.libraryPath]);
+    assert.deepEqual(Object.keys(stored.items.shows), ['1', '2']);
+    assert.equal(stored.activities.tv_shows.all, 'T1');
+  });
+
+  test('skips sections whose activity did not change', async () => {
+    const { sync, state } = createSync();
+    await sync.sync();
+    state.calls.length = 0;
+
+    await sync.sync();
+    assert.deepEqual(state.calls, []);
+  });
+
+  test('fetches only changes since the last activity and merges them', async () => {
+    const { sync, state } = createSync();
+    await sync.sync();
+    state.calls.length = 0;
+
+    state.activities = { ...state.activities, tv_shows: { all: 'T2', removed_from_list: 'R1' } };
+    state.items.shows = [show(2, { status: 'completed', last_watched_at: '2026-03-14T20:00:00Z' }), show(3)];
+    const changes = await sync.sync();
+
+    assert.deepEqual(state.calls, [{ type: 'shows', date_from: 'T1' }]);
+    assert.equal(changes.updated, 2);
+    assert.equal(changes.removed, 0);
+    assert.deepEqual(changes.watched.map(({ entry, mediaType }) => [entry.show.ids.simkl, mediaType]), [[2, 'tv']]);
+
+    sync.invalidate();
+    const library = await sync.getLibrary();
+    assert.deepEqual(ids(library, 'shows'), [1, 2, 3]);
+    assert.equal(library.shows.find(entry => entry.show.ids.simkl === 2).status, 'completed');
+  });
+
+  test('prunes titles removed from every list', async () => {
+    const { sync, state } = createSync();
+    await sync.sync();
+    state.calls.length = 0;
+
+    state.activities = { ...state.activities, tv_shows: { all: 'T2', removed_from_list: 'R2' } };
+    state.items.shows = [show(2)];
+    const changes = await sync.sync();
+
+    assert.deepEqual(state.calls, [
+      { type: 'shows', date_from: 'T1' },
+      { type: 'shows', extended: 'simkl_ids_only' }
+    ]);
+    assert.equal(changes.removed, 1);
+    assert.deepEqual(ids(await sync.getLibrary(), 'shows'), [2]);
+  });
+
+  test('concurrent syncs share one run', async () => {
+    const { sync } = createSync();
+    let runs = 0;
+    sync.onChange(() => runs++);
+
+    await Promise.all([sync.sync(), sync.sync()]);
+    assert.equal(runs, 1);
+  });
+});
@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+
+const createEngine = (plugin = createPluginStub(modules)) => new modules.SimklTemplateEngine(plugin);
+
+describe('SimklTemplateEngine', () => {
+  test('renders values, dotted paths and joined arrays', () => {
+    const engine = createEngine();
+    const output = engine.render('{{ title }} ({{year}}) [{{ids.imdb}}] {{genres}}{{missing}}{{ids.tmdb.id}}', {
+      title: 'Dune',
+      year: 2021,
+      ids: { imdb: 'tt1160419' },
+      genres: ['Drama', 'Science Fiction']
+    });
+
+    assert.equal(output, 'Dune (2021) [tt1160419] Drama, Science Fiction');
+  });
+
+  test('#if picks a branch from the value, empty arrays are falsy', () => {
+    const engine = createEngine();
+    const template = '{{#if user_rating}}Rated {{user_rating}}{{else}}Unrated{{/if}}|{{#if genres}}{{genres}}{{else}}none{{/if}}';
+
+    assert.equal(engine.render(template, { user_rating: 8, genres: [] }), 'Rated 8|none');
+    assert.equal(engine.render(template, { user_rating: 0, genres: ['Anime'] }), 'Unrated|Anime');
+  });
+
+  test('#each shadows the outer scope and exposes this and @index', () => {
+    const engine = createEngine();
+    const template = '{{#each seasons}}{{@index}}:{{title}} S{{number}}({{#each episodes}}{{this}}{{/each}}) {{/each}}';
+
+    const output = engine.render(template, {
+      title: 'Show',
+      seasons: [{ number: 1, episodes: [1, 2] }, { number: 2, title: 'Finale', episodes: [] }]
+    });
+
+    assert.equal(output, '0:Show S1(12) 1:Finale S2() ');
+  });
+
+  test('#each over a non-array renders nothing', () => {
+    assert.equal(createEngine().render('a{{#each seasons}}x{{/each}}b', { seasons: 'none' }), 'ab');
+  });
+
+  test('parses nested blocks into a tree', () => {
+    const nodes = createEngine().parse('{{#if seasons}}{{#each seasons}}{{number}}{{/each}}{{else}}-{{/if}}!');
+
+    assert.equal(nodes.length, 2);
+    const [block, tail] = nodes;
+    assert.equal(block.type, 'if');
+    assert.equal(block.path, 'seasons');
+    assert.deepEqual(block.consequent.map(node => node.type), ['each']);
+    assert.deepEqual(block.consequent[0].children, [{ type: 'var', path: 'number' }]);
+    assert.deepEqual(block.alternate, [{ type: 'text', value: '-' }]);
+    assert.deepEqual(tail, { type: 'text', value: '!' });
+  });
+
+  test('rejects unbalanced blocks', () => {
+    const engine = createEngine();
+
+    assert.throws(() => engine.parse('{{else}}'), /\{\{else\}\} outside of \{\{#if\}\}/);
+    assert.throws(() => engine.parse('{{#each seasons}}{{else}}{{/each}}'), /outside of/);
+    assert.throws(() => engine.parse('{{#if title}}{{/each}}'), /unexpected \{\{\/each\}\}/);
+    assert.throws(() => engine.parse('{{#if title}}{{#each seasons}}{{/each}}'), /unclosed \{\{#if\}\}/);
+  });
+
+  test('groups episodes into sorted seasons without specials', async () => {
+    const plugin = createPluginStub(modules);
+    plugin.api = {
+      getEpisodes: async () => [
+        { season: 2, episode: 1, title: 'Return', date: '2024-01-01' },
+        { season: 1, episode: 1, title: 'Pilot', date: '2023-01-01' },
+        { season: 1, episode: 2, title: 'Second', date: '2023-01-08' },
+        { season: 1, episode: 3, type: 'special', title: 'Extra' },
+        { episode: 4, title: 'Unassigned' }
+      ]
+    };
+
+    const seasons = await createEngine(plugin).getSeasons({ mediaType: 'tv', ids: { simkl: 7 } });
+
+    assert.deepEqual(seasons.map(season => [season.number, season.episode_count]), [[1, 2], [2, 1]]);
+    assert.deepEqual(seasons[0].episodes[0], { number: 1, title: 'Pilot', aired: '2023-01-01' });
+  });
+});
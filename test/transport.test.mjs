@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureApi } from './helpers/fixture-transport.mjs';
+import { SIMKL_FIXTURES } from './fixtures/simkl.mjs';
+
+function createApi(settings = {}) {
+  return createFixtureApi({
+    clientSecret: 'test-secret',
+    accessToken: 'test-token',
+    ...settings
+  });
+}
+
+describe('SimklApi over the fixture transport', () => {
+  test('replays every recorded fixture', async () => {
+    const { api, transport } = createApi();
+
+    const search = await api.searchMedia('tv', 'breaking bad');
+    assert.equal(search[0].ids.slug, 'breaking-bad');
+
+    const episodes = await api.getEpisodes('tv', 17465);
+    assert.equal(episodes.length, 2);
+
+    const stats = await api.getUserStats('424242');
+    assert.equal(stats.total_mins, 38514);
+
+    const list = await api.getUserList('424242', 'tv', 'watching');
+    assert.equal(list[0].show.title, 'Severance');
+
+    const activities = await api.getLastActivities();
+    assert.ok(activities.tv_shows.all);
+
+    const movies = await api.getAllSyncItems({ type: 'movies' });
+    assert.equal(movies.movies[0].movie.title, 'Dune: Part Two');
+
+    const library = await api.getAllSyncItems();
+    assert.deepEqual(Object.keys(library), ['shows', 'anime', 'movies']);
+
+    const pin = await api.requestOAuthPin();
+    assert.equal(pin.user_code, 'ABCDE');
+
+    const pending = await api.pollOAuthToken(pin.user_code);
+    assert.equal(pending.result, 'KO');
+    const approved = await api.pollOAuthToken(pin.user_code);
+    assert.equal(approved.access_token, 'FIXTURE_ACCESS_TOKEN');
+
+    const account = await api.getUserSettings();
+    assert.equal(account.account.id, 424242);
+
+    const refreshed = await api.refreshAccessToken('old-refresh');
+    assert.equal(refreshed.access_token, 'FIXTURE_REFRESHED_TOKEN');
+    assert.equal(refreshed.refresh_token, 'old-refresh-next');
+
+    const added = await api.markAsWatched('tv', { simkl: 1451289 }, { season: 1, episode: 1 });
+    assert.deepEqual(added.added, { movies: 0, shows: 1 });
+
+    const removed = await api.removeFromHistory('movie', { simkl: 2143622 });
+    assert.deepEqual(removed.deleted, { movies: 1, shows: 0 });
+    assert.deepEqual(transport.requests.at(-1).body, { movies: [{ ids: { simkl: 2143622 } }] });
+
+    const details = await api.getItemDetails('tv', 1451289);
+    assert.equal(details.ids.simkl, 1451289);
+
+    const unused = transport.fixtures
+      .filter(fixture => !transport.calls.has(fixture))
+      .map(fixture => `${fixture.method} ${fixture.path}`);
+    assert.deepEqual(unused, []);
+    assert.equal(transport.fixtures.length, SIMKL_FIXTURES.length);
+  });
+
+  test('sends credentials and query parameters the way Simkl expects', async () => {
+    const { api, transport } = createApi();
+
+    await api.getAllSyncItems({ type: 'shows', date_from: '2024-01-01T00:00:00Z' });
+    const [request] = transport.requests;
+
+    assert.equal(request.path, '/sync/all-items/shows');
+    assert.deepEqual(request.query, { extended: 'full', date_from: '2024-01-01T00:00:00Z' });
+
+    await api.markAsWatched('movie', { simkl: 2143622 }, { watchedAt: '2024-04-20T21:15:00Z' });
+    assert.deepEqual(transport.requests[1].body, {
+      movies: [{ ids: { simkl: 2143622 }, watched_at: '2024-04-20T21:15:00Z' }]
+    });
+  });
+
+  test('answers unknown requests with a 404', async () => {
+    const { api } = createApi();
+    await assert.rejects(api.makeRequest('/nothing/here/at/all'), { status: 404 });
+  });
+});
@@ -0,0 +1,76 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TFile } from './helpers/obsidian.mjs';
+import { loadPlugin, createPluginStub } from './helpers/load-plugin.mjs';
+
+const modules = loadPlugin();
+
+const TODAY = '2026-03-14';
+
+function createWatchLog(content = '') {
+  const plugin = createPluginStub(modules, { watchLogEnabled: true });
+  const note = Object.assign(new TFile(), { path: `${TODAY}.md` });
+  const files = { [note.path]: content };
+
+  plugin.app = {
+    vault: {
+      getAbstractFileByPath: (path) => (path in files ? note : null),
+      process: async (file, update) => { files[file.path] = update(files[file.path]); }
+    }
+  };
+  plugin.templates = new modules.SimklTemplateEngine(plugin);
+  plugin.notes = { findNote: () => null };
+  plugin.processor = new modules.SimklProcessor(plugin);
+
+  return { watchLog: new modules.SimklWatchLog(plugin), read: () => files[note.path] };
+}
+
+const at = (time) => new Date(`${TODAY}T${time}:00`);
+const dune = { title: 'Dune', mediaType: 'movie', ids: { simkl: 1 } };
+const duneTwo = { title: 'Dune: Part Two', mediaType: 'movie', ids: { simkl: 2 } };
+const severance = { title: 'Severance', mediaType: 'tv', ids: { simkl: 3 } };
+
+describe('SimklWatchLog', () => {
+  test('adds the section and a line per title', async () => {
+    const { watchLog, read } = createWatchLog('# Notes');
+
+    await watchLog.append({ item: dune, episode: '', watchedAt: at('20:15') });
+    await watchLog.append({ item: severance, episode: 'S01E02', watchedAt: at('21:40') });
+
+    assert.equal(read(), '# Notes\n\n## Watched today\n- 20:15 Dune\n- 21:40 Severance S01E02');
+  });
+
+  test('skips a title and episode already logged at another time', async () => {
+    const { watchLog, read } = createWatchLog('## Watched today\n- 20:15 Dune\n- 21:40 Severance S01E02');
+
+    await watchLog.append({ item: dune, episode: '', watchedAt: at('20:20') });
+    await watchLog.append({ item: severance, episode: 'S01E02', watchedAt: at('21:45') });
+
+    assert.equal(read(), '## Watched today\n- 20:15 Dune\n- 21:40 Severance S01E02');
+  });
+
+  test('tells titles apart that contain one another', async () => {
+    const { watchLog, read } = createWatchLog('## Watched today\n- 20:15 Dune');
+
+    await watchLog.append({ item: duneTwo, episode: '', watchedAt: at('22:00') });
+    assert.equal(read(), '## Watched today\n- 20:15 Dune\n- 22:00 Dune: Part Two');
+
+    const { watchLog: reverse, read: readReverse } = createWatchLog('## Watched today\n- 22:00 Dune: Part Two');
+    await reverse.append({ item: dune, episode: '', watchedAt: at('20:15') });
+    assert.equal(readReverse(), '## Watched today\n- 22:00 Dune: Part Two\n- 20:15 Dune');
+  });
+
+  test('logs another episode of the same show', async () => {
+    const { watchLog, read } = createWatchLog('## Watched today\n- 21:40 Severance S01E02');
+
+    await watchLog.append({ item: severance, episode: 'S01E03', watchedAt: at('22:35') });
+    assert.equal(read(), '## Watched today\n- 21:40 Severance S01E02\n- 22:35 Severance S01E03');
+  });
+
+  test('inserts before the next section', async () => {
+    const { watchLog, read } = createWatchLog('## Watched today\n- 20:15 Dune\n\n## Tomorrow\n- laundry');
+
+    await watchLog.append({ item: duneTwo, episode: '', watchedAt: at('22:00') });
+    assert.equal(read(), '## Watched today\n- 20:15 Dune\n- 22:00 Dune: Part Two\n\n## Tomorrow\n- laundry');
+  });
+});